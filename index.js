@@ -6,10 +6,166 @@ const express = require('express');
 const axios = require('axios');
 const { google } = require('googleapis');
 const path = require('path'); // <-- added
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// `node index.js <command> [args]` runs one admin command and exits instead of serving
+// (see the CLI section at the bottom and the package.json scripts)
+const CLI_COMMAND = process.argv[2] || '';
+
+// ================================
+// Observability: structured logs + Prometheus metrics
+// ================================
+// Logs are one JSON object per line ({ ts, level, tag, msg, data?, event_id? }) so the
+// Render log stream can be filtered by event. The existing console.* calls are kept and
+// reshaped here: a leading "[TAG]" becomes `tag`, plain objects go to `data`, and the
+// fields of the current log context (logContext, set per webhook and per queued event)
+// are merged in, so an event_id follows an event from POST /webhook into its processor.
+//   LOG_FORMAT  json (default for the server) | text (default for CLI commands)
+const LOG_FORMAT = (process.env.LOG_FORMAT || (CLI_COMMAND ? 'text' : 'json')).trim().toLowerCase();
+const logContext = new AsyncLocalStorage();
+const LOG_LEVELS = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
+
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Error);
+}
+
+function logLine(level, args) {
+  const line = { ts: new Date().toISOString(), level, ...logContext.getStore() };
+  const parts = [];
+  const data = [];
+  args.forEach((a, i) => {
+    if (i === 0 && typeof a === 'string') {
+      const m = a.match(/^\[([^\]]+)\]\s*(.*)$/s);
+      if (m) {
+        line.tag = m[1];
+        if (m[2]) parts.push(m[2]);
+        return;
+      }
+    }
+    if (isPlainObject(a)) data.push(a);
+    else if (a instanceof Error) parts.push(a.stack || a.message);
+    else parts.push(typeof a === 'string' ? a : util.inspect(a, { depth: 4, breakLength: Infinity }));
+  });
+  line.msg = parts.join(' ');
+  if (data.length) line.data = data.length === 1 ? data[0] : data;
+  try {
+    return JSON.stringify(line);
+  } catch {
+    // circular data (e.g. a raw axios error): fall back to its inspected form
+    return JSON.stringify({ ...line, data: util.inspect(line.data, { depth: 4, breakLength: Infinity }) });
+  }
+}
+
+if (LOG_FORMAT === 'json') {
+  for (const [method, level] of Object.entries(LOG_LEVELS)) {
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    console[method] = (...args) => stream.write(logLine(level, args) + '\n');
+  }
+}
+
+// Minimal in-process registry (counters, gauges, histograms) rendered in the Prometheus
+// text format by GET /metrics. Gauges that describe current state are filled in at
+// scrape time by collectMetrics().
+const METRIC_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const metricRegistry = new Map(); // name -> { type, help, series: Map(labelKey -> { labels, value | counts, sum, count }) }
+
+function defineMetric(name, type, help) {
+  metricRegistry.set(name, { type, help, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+  const metric = metricRegistry.get(name);
+  if (!metric) throw new Error(`Unknown metric ${name}`);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === 'histogram'
+      ? { labels, counts: METRIC_BUCKETS.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function incMetric(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+
+function setMetric(name, labels, value) {
+  metricSeries(name, labels).value = value;
+}
+
+function observeMetric(name, labels, seconds) {
+  const s = metricSeries(name, labels);
+  METRIC_BUCKETS.forEach((le, i) => { if (seconds <= le) s.counts[i]++; });
+  s.sum += seconds;
+  s.count++;
+}
+
+// Runs fn, recording its duration in <name>_duration_seconds and failures in <name>_errors_total
+async function timedCall(name, labels, fn, errorLabels = () => ({})) {
+  const started = process.hrtime.bigint();
+  try {
+    return await fn();
+  } catch (err) {
+    incMetric(`${name}_errors_total`, { ...labels, ...errorLabels(err) });
+    throw err;
+  } finally {
+    observeMetric(`${name}_duration_seconds`, labels, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+function renderMetrics() {
+  const out = [];
+  for (const [name, metric] of metricRegistry) {
+    out.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const s of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        out.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      METRIC_BUCKETS.forEach((le, i) => out.push(`${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`));
+      out.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      out.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`, `${name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+defineMetric('suc_webhook_events_received_total', 'counter', 'Webhook events accepted by POST /webhook (duplicates included)');
+defineMetric('suc_events_processed_total', 'counter', 'Queued events processed successfully');
+defineMetric('suc_events_failed_total', 'counter', 'Failed processing attempts (retried or dead-lettered)');
+defineMetric('suc_events_dead_lettered_total', 'counter', 'Events that exhausted their retries');
+defineMetric('suc_events_deferred_total', 'counter', 'Events deferred by the Strava rate limit');
+defineMetric('suc_events_duplicate_total', 'counter', 'Redelivered webhook events ignored by deduplication');
+defineMetric('suc_events_coalesced_total', 'counter', 'Pending events absorbed into a newer event for the same activity');
+defineMetric('suc_queue_depth', 'gauge', 'Events waiting in the durable queue');
+defineMetric('suc_queue_retrying', 'gauge', 'Queued events waiting on a retry backoff');
+defineMetric('suc_seconds_since_last_webhook', 'gauge', 'Seconds since the last POST /webhook');
+defineMetric('suc_seconds_since_last_event_processed', 'gauge', 'Seconds since the queue last finished an event');
+defineMetric('suc_strava_request_duration_seconds', 'histogram', 'Strava API call latency');
+defineMetric('suc_strava_request_errors_total', 'counter', 'Strava API calls that failed');
+defineMetric('suc_strava_paused', 'gauge', '1 while the queue is paused for the Strava rate limit');
+defineMetric('suc_sheets_request_duration_seconds', 'histogram', 'Google Sheets API call latency');
+defineMetric('suc_sheets_request_errors_total', 'counter', 'Google Sheets API calls that failed');
+defineMetric('suc_token_refreshes_total', 'counter', 'Strava access token refreshes');
+defineMetric('suc_process_uptime_seconds', 'gauge', 'Seconds since the process started');
+defineMetric('suc_process_resident_memory_bytes', 'gauge', 'Resident set size');
+
 // ================================
 // Basic middleware
 // ================================
@@ -25,52 +181,459 @@ app.use('/assets', express.static(path.join(__dirname, 'public', 'assets'), {
 }));
 
 // Small helper to build the Strava authorize URL (scopes: read,activity:read)
-function buildAuthorizeUrl() {
+// force=true re-shows Strava's consent screen so the athlete can re-tick activity access.
+// Other flows (admin login) pass their own redirectUri on the same domain.
+function buildAuthorizeUrl({ purpose = 'join', force = false, redirectUri = process.env.REDIRECT_URI } = {}) {
   const params = new URLSearchParams({
     client_id: process.env.STRAVA_CLIENT_ID,
     response_type: 'code',
-    redirect_uri: process.env.REDIRECT_URI, // e.g. https://strava-oauth-proxy.onrender.com/join-callback
+    redirect_uri: redirectUri, // e.g. https://strava-oauth-proxy.onrender.com/join-callback
     scope: 'read,activity:read',
-    approval_prompt: 'auto'
+    approval_prompt: force ? 'force' : 'auto',
+    state: signOAuthState(purpose)
   });
-  return `https://www.strava.com/oauth/authorize?${params.toString()}`;
+  return `${STRAVA_BASE_URL}/oauth/authorize?${params.toString()}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ================================
+// Signed tokens: OAuth state (CSRF) + admin sessions
+// ================================
+// A signed token is base64url(JSON { p: purpose, n: nonce, exp, ...extra }) + "." +
+// HMAC-SHA256, so it survives restarts without server-side storage. Verification rejects
+// anything unsigned, expired or minted for a different purpose.
+const OAUTH_STATE_TTL_MS = 60 * 60 * 1000;
+
+function signingSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.STRAVA_CLIENT_SECRET;
+  if (!secret) throw new Error('Set OAUTH_STATE_SECRET (or STRAVA_CLIENT_SECRET) to sign OAuth state');
+  return secret;
+}
+
+function signToken(purpose, ttlMs, extra = {}) {
+  const payload = Buffer.from(JSON.stringify({
+    ...extra,
+    p: purpose,
+    n: crypto.randomBytes(12).toString('base64url'),
+    exp: Date.now() + ttlMs
+  })).toString('base64url');
+  const sig = crypto.createHmac('sha256', signingSecret()).update(payload).digest('base64url');
+  return `${payload}.${sig}`;
+}
+
+// Returns the decoded payload, or null if the token is missing, forged, expired or for another purpose
+function verifySignedToken(token, purpose) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const expected = crypto.createHmac('sha256', signingSecret()).update(payload).digest();
+  const provided = Buffer.from(sig, 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.p !== purpose || !(data.exp > Date.now())) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+function signOAuthState(purpose) {
+  return signToken(purpose, OAUTH_STATE_TTL_MS);
+}
+
+function verifyOAuthState(state, purpose) {
+  return verifySignedToken(state, purpose);
+}
+
+// Strava reports what the athlete actually ticked in ?scope=read,activity:read
+function parseGrantedScopes(scopeParam) {
+  return String(scopeParam || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function hasActivityAccess(scopes) {
+  return scopes.includes('activity:read') || scopes.includes('activity:read_all');
+}
+
+// ================================
+// Strava HTTP client (rate-limit aware)
+// ================================
+// Strava budgets requests per 15 minutes (windows reset at :00/:15/:30/:45 UTC) and per
+// UTC day, reporting both as "15min,daily" in X-RateLimit-* (overall) and
+// X-ReadRateLimit-* (read-only) headers. We track every response and pause the queue
+// once either window is STRAVA_RATE_PAUSE_RATIO full, keeping headroom for OAuth joins.
+// STRAVA_BASE_URL swaps in another host (the offline stand-in under test/) for every call
+const STRAVA_BASE_URL = (process.env.STRAVA_BASE_URL || 'https://www.strava.com').replace(/\/+$/, '');
+const STRAVA_API_BASE = `${STRAVA_BASE_URL}/api/v3`;
+const STRAVA_OAUTH_TOKEN_URL = `${STRAVA_BASE_URL}/oauth/token`;
+const STRAVA_RATE_PAUSE_RATIO = Number(process.env.STRAVA_RATE_PAUSE_RATIO || 0.9);
+const FIFTEEN_MIN_MS = 15 * 60 * 1000;
+
+const stravaRate = {
+  overall: null,      // { limit_15min, limit_daily, usage_15min, usage_daily }
+  read: null,         // same shape, from X-ReadRateLimit-*
+  updated_at: 0,      // ms of the last response carrying rate headers
+  blocked_until: 0,   // set by a 429
+  last_429_at: 0
+};
+
+class StravaRateLimitError extends Error {
+  constructor(retryAt) {
+    super(`Strava rate limit reached, deferred until ${new Date(retryAt).toISOString()}`);
+    this.name = 'StravaRateLimitError';
+    this.retryAt = retryAt;
+  }
+}
+
+function nextFifteenMinuteWindow(now = Date.now()) {
+  return Math.floor(now / FIFTEEN_MIN_MS) * FIFTEEN_MIN_MS + FIFTEEN_MIN_MS;
+}
+
+function nextUtcDay(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+function parseRatePair(limitHeader, usageHeader) {
+  if (!limitHeader || !usageHeader) return null;
+  const [limit15, limitDay] = String(limitHeader).split(',').map(Number);
+  const [usage15, usageDay] = String(usageHeader).split(',').map(Number);
+  if ([limit15, limitDay, usage15, usageDay].some(Number.isNaN)) return null;
+  return { limit_15min: limit15, limit_daily: limitDay, usage_15min: usage15, usage_daily: usageDay };
+}
+
+function recordStravaUsage(headers = {}) {
+  const overall = parseRatePair(headers['x-ratelimit-limit'], headers['x-ratelimit-usage']);
+  const read = parseRatePair(headers['x-readratelimit-limit'], headers['x-readratelimit-usage']);
+  if (!overall && !read) return;
+  if (overall) stravaRate.overall = overall;
+  if (read) stravaRate.read = read;
+  stravaRate.updated_at = Date.now();
+}
+
+// Usage as it stands now: counts from a window that has since rolled over read as 0
+function currentStravaUsage(now = Date.now()) {
+  const sameWindow = nextFifteenMinuteWindow(stravaRate.updated_at) === nextFifteenMinuteWindow(now);
+  const sameDay = nextUtcDay(stravaRate.updated_at) === nextUtcDay(now);
+  const view = (b) => b && {
+    ...b,
+    usage_15min: sameWindow ? b.usage_15min : 0,
+    usage_daily: sameDay ? b.usage_daily : 0
+  };
+  return { overall: view(stravaRate.overall), read: view(stravaRate.read) };
+}
+
+// 0 when we may call Strava, else the ms timestamp when the blocking window resets
+function stravaPausedUntil(now = Date.now()) {
+  if (stravaRate.blocked_until > now) return stravaRate.blocked_until;
+  const usage = currentStravaUsage(now);
+  let until = 0;
+  for (const b of [usage.overall, usage.read]) {
+    if (!b) continue;
+    if (b.usage_daily >= b.limit_daily * STRAVA_RATE_PAUSE_RATIO) until = Math.max(until, nextUtcDay(now));
+    else if (b.usage_15min >= b.limit_15min * STRAVA_RATE_PAUSE_RATIO) until = Math.max(until, nextFifteenMinuteWindow(now));
+  }
+  return until;
+}
+
+// Snapshot for monitoring (/admin/strava-usage)
+function stravaRateSnapshot() {
+  const pausedUntil = stravaPausedUntil();
+  return {
+    ...currentStravaUsage(),
+    pause_ratio: STRAVA_RATE_PAUSE_RATIO,
+    paused: !!pausedUntil,
+    paused_until: pausedUntil ? new Date(pausedUntil).toISOString() : null,
+    last_429_at: stravaRate.last_429_at ? new Date(stravaRate.last_429_at).toISOString() : null,
+    updated_at: stravaRate.updated_at ? new Date(stravaRate.updated_at).toISOString() : null
+  };
+}
+
+// Metric label for a Strava URL: its path with ids collapsed (/activities/:id)
+function stravaEndpointLabel(url) {
+  try {
+    return new URL(url).pathname.replace(/^\/api\/v3/, '').replace(/\/\d+(?=\/|$)/g, '/:id');
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Every Strava call goes through here. Throws StravaRateLimitError (with .retryAt) instead
+// of calling out when paused, and when Strava answers 429.
+async function stravaRequest(config, { bypassPause = false } = {}) {
+  const pausedUntil = stravaPausedUntil();
+  if (pausedUntil && !bypassPause) throw new StravaRateLimitError(pausedUntil);
+
+  try {
+    const resp = await timedCall('suc_strava_request', { endpoint: stravaEndpointLabel(config.url) }, () => axios(config),
+      (err) => ({ status: err.response?.status || 'network' }));
+    recordStravaUsage(resp.headers);
+    return resp;
+  } catch (err) {
+    if (err.response) recordStravaUsage(err.response.headers);
+    if (err.response?.status === 429) {
+      const now = Date.now();
+      const usage = currentStravaUsage(now);
+      const dailyExhausted = [usage.overall, usage.read].some(b => b && b.usage_daily >= b.limit_daily);
+      stravaRate.last_429_at = now;
+      stravaRate.blocked_until = dailyExhausted ? nextUtcDay(now) : nextFifteenMinuteWindow(now);
+      console.warn('[STRAVA] 429 rate limited until', new Date(stravaRate.blocked_until).toISOString());
+      throw new StravaRateLimitError(stravaRate.blocked_until);
+    }
+    throw err;
+  }
 }
 
 // ================================
-// Small in-memory queue
+// Durable queue (append-only file journal)
 // ================================
-const inboxQ = [];
+// Every webhook is journaled as an `add` record before we ACK, and a `done` record is
+// appended only after its processor finishes. On boot, adds without a matching done are
+// re-queued. Point QUEUE_JOURNAL_PATH at a persistent disk on Render (the default
+// ./data dir does not survive a redeploy, only a process restart).
+//
+// Strava redelivers webhooks and one edit often fires several updates, so:
+//   - webhook events are deduplicated by eventKey() for EVENT_DEDUP_TTL_MS (keys survive
+//     restarts as `seen` journal records);
+//   - a new activity event absorbs that activity's pending events into one final action
+//     (see combineActivityEvents), and the event being processed is never touched;
+//   - nextDueEvent never starts an activity's event while an older one for it is waiting
+//     on a retry (or on the Strava rate limit), so each activity's events still apply in order.
+const QUEUE_JOURNAL_PATH = process.env.QUEUE_JOURNAL_PATH || path.join(__dirname, 'data', 'queue.jsonl');
+const EVENT_DEDUP_TTL_MS = Number(process.env.EVENT_DEDUP_TTL_MS || 24 * 60 * 60 * 1000);
+const recentEventKeys = new Map(); // eventKey -> ms first seen
+const queueStats = { duplicates: 0, coalesced: 0 };
+// CLI runs don't own the journal (the server may be running alongside), so they skip it
+const inboxQ = CLI_COMMAND ? [] : loadQueueJournal(); // [{ id, received_at, evt, attempts?, next_attempt_at?, last_error?, unlogged? }]
 let queueBusy = false;
-setInterval(drainQueue, 3000);
+let activeEntry = null;        // the entry drainQueue is processing right now
+let shuttingDown = false;
+let lastWebhookAt = null;      // ISO time of the last POST /webhook
+let lastEventProcessedAt = null; // ISO time the queue last finished an event
+if (!CLI_COMMAND) setInterval(drainQueue, 3000);
+
+function loadQueueJournal() {
+  fs.mkdirSync(path.dirname(QUEUE_JOURNAL_PATH), { recursive: true });
+  if (!fs.existsSync(QUEUE_JOURNAL_PATH)) return [];
+
+  const pending = new Map();
+  const lines = fs.readFileSync(QUEUE_JOURNAL_PATH, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch { continue; } // torn write from a crash mid-append
+    const { op, ...fields } = rec;
+    if (op === 'add') {
+      pending.set(rec.id, fields);
+      if (fields.key) rememberEventKey(fields.key, Date.parse(fields.received_at));
+    }
+    else if (op === 'retry' && pending.has(rec.id)) Object.assign(pending.get(rec.id), fields);
+    else if (op === 'done') pending.delete(rec.id);
+    else if (op === 'seen') rememberEventKey(rec.key, rec.at);
+  }
+
+  const entries = [...pending.values()];
+  compactQueueJournal(entries);
+  if (entries.length) console.log(`[QUEUE] restored ${entries.length} pending event(s) from journal`);
+  return entries;
+}
+
+// Rewrite the journal with only the still-pending adds plus the dedup keys still in their
+// TTL (write tmp + rename so a crash can't truncate it)
+function compactQueueJournal(entries) {
+  pruneEventKeys();
+  const seen = [...recentEventKeys].map(([key, at]) => JSON.stringify({ op: 'seen', key, at }) + '\n');
+  const tmp = `${QUEUE_JOURNAL_PATH}.tmp`;
+  fs.writeFileSync(tmp, seen.join('') + entries.map(e => JSON.stringify({ op: 'add', ...e }) + '\n').join(''));
+  fs.renameSync(tmp, QUEUE_JOURNAL_PATH);
+}
+
+// Same payload => same key. event_time keeps separate edits apart; events we make up
+// ourselves (backfill, reconcile, sweeper) have none and are never deduplicated.
+function eventKey(evt) {
+  if (!evt || evt.event_time == null) return null;
+  const updates = evt.updates || {};
+  const canonical = Object.keys(updates).sort().map(k => [k, updates[k]]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([evt.object_type, evt.aspect_type, String(evt.object_id), String(evt.owner_id), evt.event_time, canonical]))
+    .digest('hex').slice(0, 32);
+}
+
+function rememberEventKey(key, at = Date.now()) {
+  if (key && !recentEventKeys.has(key)) recentEventKeys.set(key, Number.isFinite(at) ? at : Date.now());
+}
+
+function pruneEventKeys() {
+  const cutoff = Date.now() - EVENT_DEDUP_TTL_MS;
+  for (const [key, at] of recentEventKeys) if (at < cutoff) recentEventKeys.delete(key);
+}
+
+// Final action for an activity given its pending event and a newer one
+function combineActivityEvents(prev, next) {
+  const a = prev.aspect_type, b = next.aspect_type;
+  if (b === 'delete') return next;                          // anything + delete -> delete
+  if (a === 'delete') return b === 'create' ? next : prev;  // delete + update -> delete
+  if (b === 'create') return next;                          // update + create -> create
+  if (a === 'create') return prev;                          // create + update -> create (fetches the latest anyway)
+  return { ...next, updates: { ...(prev.updates || {}), ...(next.updates || {}) } }; // update + update
+}
+
+// Pending (not in-flight) events for the same activity, oldest first
+function pendingActivityEntries(evt) {
+  if (!evt || evt.object_type !== 'activity') return [];
+  return inboxQ.filter(e => e !== activeEntry && e.evt && e.evt.object_type === 'activity' && idsEqual(e.evt.object_id, evt.object_id));
+}
+
+// Sync writes on purpose: the record must be on disk before we ACK, and keeping every
+// journal write synchronous means compaction can never race an in-flight append.
+// Returns the queued entry, or null for a duplicate. dedupe: false is for deliberate
+// re-runs (dead-letter requeue, replay) of events we've already seen. id lets the
+// webhook hand out its correlation id before the event is queued; logged marks an event
+// that is already in the inbox tab (replay), so it isn't logged again.
+// A combined entry keeps the absorbed entries' retry state (highest attempts, latest
+// next_attempt_at), so a backing-off or rate-limited activity isn't retried early or
+// handed a fresh set of attempts, and carries every original event not yet written to
+// the inbox tab in `unlogged` (logged one row each when it runs, so replay still sees them).
+function enqueueEvent(evt, { dedupe = true, id = crypto.randomUUID(), logged = false } = {}) {
+  const key = eventKey(evt);
+  if (dedupe && key && recentEventKeys.has(key)) {
+    queueStats.duplicates++;
+    console.log('[QUEUE] duplicate event ignored:', evt.object_type, evt.aspect_type, evt.object_id);
+    return null;
+  }
+
+  const absorbed = pendingActivityEntries(evt);
+  const combined = [...absorbed.map(e => e.evt), evt].reduce((acc, next) => combineActivityEvents(acc, next));
+
+  const entry = { id, received_at: new Date().toISOString(), evt: combined };
+  if (key) entry.key = key;
+  const unlogged = [
+    ...absorbed.flatMap(e => (e.inbox_logged ? [] : e.unlogged || [e.evt])),
+    ...(logged ? [] : [evt])
+  ];
+  if (!unlogged.length) entry.inbox_logged = true;
+  if (absorbed.length) {
+    entry.coalesced = absorbed.reduce((n, e) => n + (e.coalesced || 1), 0);
+    entry.unlogged = unlogged;
+    const attempts = Math.max(...absorbed.map(e => e.attempts || 0));
+    const nextAt = Math.max(...absorbed.map(e => e.next_attempt_at || 0));
+    if (attempts) entry.attempts = attempts;
+    if (nextAt > Date.now()) entry.next_attempt_at = nextAt;
+    const lastError = absorbed.map(e => e.last_error).filter(Boolean).pop();
+    if (lastError) entry.last_error = lastError;
+  }
+  fs.appendFileSync(QUEUE_JOURNAL_PATH, JSON.stringify({ op: 'add', ...entry }) + '\n');
+  // Only after the combined add is on disk: a crash in between replays both, never neither
+  for (const old of absorbed) markEventDone(old);
+  inboxQ.push(entry);
+  rememberEventKey(key);
+
+  if (absorbed.length) {
+    queueStats.coalesced += absorbed.length;
+    console.log('[QUEUE] coalesced', absorbed.length, 'pending event(s) for activity', evt.object_id, '->', combined.aspect_type);
+  }
+  return entry;
+}
+
+// Log context + metric labels for one queued event
+function eventLogFields(entry) {
+  const evt = entry.evt || {};
+  return { event_id: entry.id, object_type: evt.object_type, aspect_type: evt.aspect_type, object_id: evt.object_id, owner_id: evt.owner_id };
+}
+
+function eventMetricLabels(evt = {}) {
+  return { object_type: evt.object_type || 'unknown', aspect_type: evt.aspect_type || 'unknown' };
+}
+
+// deferUntil (rate limit) reschedules without consuming one of the event's attempts
+function markEventRetry(entry, error, deferUntil = null) {
+  if (!deferUntil) entry.attempts = (entry.attempts || 0) + 1;
+  entry.last_error = error;
+  entry.next_attempt_at = deferUntil || Date.now() + retryDelayMs(entry.attempts);
+  const { evt, received_at, ...retry } = entry;
+  fs.appendFileSync(QUEUE_JOURNAL_PATH, JSON.stringify({ op: 'retry', ...retry }) + '\n');
+}
+
+function markEventDone(entry) {
+  fs.appendFileSync(QUEUE_JOURNAL_PATH, JSON.stringify({ op: 'done', id: entry.id }) + '\n');
+  const i = inboxQ.indexOf(entry);
+  if (i >= 0) inboxQ.splice(i, 1);
+}
+
+// Exponential backoff with jitter: 30s, 1m, 2m, 4m ... capped at QUEUE_RETRY_MAX_MS
+const QUEUE_MAX_ATTEMPTS = Number(process.env.QUEUE_MAX_ATTEMPTS || 6);
+const QUEUE_RETRY_BASE_MS = Number(process.env.QUEUE_RETRY_BASE_MS || 30000);
+const QUEUE_RETRY_MAX_MS = Number(process.env.QUEUE_RETRY_MAX_MS || 60 * 60 * 1000);
+
+function retryDelayMs(attempts) {
+  const delay = Math.min(QUEUE_RETRY_BASE_MS * 2 ** (attempts - 1), QUEUE_RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Only activity creates and updates fetch from Strava; deletes and athlete events
+// (deauthorization purges) work on the sheet alone
+function eventCallsStrava(evt = {}) {
+  return evt.object_type === 'activity' && (evt.aspect_type === 'create' || evt.aspect_type === 'update');
+}
+
+// First event whose backoff has elapsed (queue order otherwise preserved). An activity
+// with an older event still backing off is skipped entirely, so it can't be overtaken.
+// stravaPaused holds back events that call Strava the same way, so deletes and purges
+// still go through while the queue waits for a rate-limit window.
+function nextDueEvent({ stravaPaused = false } = {}) {
+  const now = Date.now();
+  const blocked = new Set();
+  for (const e of inboxQ) {
+    const activity = e.evt && e.evt.object_type === 'activity' ? String(e.evt.object_id) : null;
+    if (activity && blocked.has(activity)) continue;
+    const waiting = (e.next_attempt_at && e.next_attempt_at > now) || (stravaPaused && eventCallsStrava(e.evt));
+    if (!waiting) return e;
+    if (activity) blocked.add(activity);
+  }
+  return null;
+}
+
+// Run fn once the queue is idle and keep it from starting an event until fn is done. For
+// whole-tab rewrites (the summary rebuild) that would otherwise race the row numbers a
+// processor read before them.
+async function whileQueueIdle(fn) {
+  while (queueBusy) await new Promise(r => setTimeout(r, 250));
+  queueBusy = true;
+  try {
+    return await fn();
+  } finally {
+    queueBusy = false;
+  }
+}
 
 async function drainQueue() {
   if (queueBusy) return;
   queueBusy = true;
   try {
-    while (inboxQ.length) {
-      const evt = inboxQ.shift();
-
-      // 1) Log every event to inbox
-      await appendToSheet('inbox', [[
-        new Date().toISOString(),
-        evt.object_type || '',
-        evt.aspect_type || '',
-        evt.object_id || '',
-        evt.owner_id || '',
-        JSON.stringify(evt || {})
-      ]]);
-
-      // 2) Route by type/aspect
-      if (evt.object_type === 'activity') {
-        if (evt.aspect_type === 'create') {
-          await processNewActivity(evt.object_id, evt.owner_id);
-        } else if (evt.aspect_type === 'update') {
-          await processActivityUpdate(evt);
-        } else if (evt.aspect_type === 'delete') {
-          await processActivityDelete(evt); // HARD DELETE
+    for (;;) {
+      // Close to a Strava limit: leave what calls Strava queued until the window resets
+      const pausedUntil = stravaPausedUntil();
+      const entry = nextDueEvent({ stravaPaused: Boolean(pausedUntil) });
+      if (!entry) {
+        if (pausedUntil && nextDueEvent()) {
+          console.warn('[QUEUE] paused for Strava rate limit until', new Date(pausedUntil).toISOString(), '-', inboxQ.length, 'pending');
         }
+        break;
       }
+
+      await withLogContext(eventLogFields(entry), () => runQueuedEvent(entry));
     }
+    // Nothing pending: shrink the journal back to empty
+    if (!inboxQ.length) compactQueueJournal(inboxQ);
   } catch (err) {
     console.error('[QUEUE ERROR]', err?.response?.data || err.message || err);
   } finally {
@@ -78,6 +641,266 @@ async function drainQueue() {
   }
 }
 
+// Process one due event and record its outcome (done, deferred, retry or dead letter)
+async function runQueuedEvent(entry) {
+  const labels = eventMetricLabels(entry.evt);
+  activeEntry = entry;
+  let result;
+  try {
+    result = await processQueuedEvent(entry);
+  } finally {
+    activeEntry = null;
+  }
+
+  if (result.ok) {
+    markEventDone(entry);
+    lastEventProcessedAt = new Date().toISOString();
+    incMetric('suc_events_processed_total', labels);
+  } else if (result.deferUntil) {
+    markEventRetry(entry, result.error, result.deferUntil);
+    incMetric('suc_events_deferred_total', labels);
+    console.warn('[QUEUE] deferred', entry.id, 'until', new Date(result.deferUntil).toISOString());
+  } else if ((entry.attempts || 0) + 1 >= QUEUE_MAX_ATTEMPTS) {
+    incMetric('suc_events_failed_total', labels);
+    incMetric('suc_events_dead_lettered_total', labels);
+    await deadLetterEvent(entry, result.error);
+  } else {
+    markEventRetry(entry, result.error);
+    incMetric('suc_events_failed_total', labels);
+    console.warn('[QUEUE] attempt', entry.attempts, 'failed for', entry.id, '- retry in', Math.round((entry.next_attempt_at - Date.now()) / 1000), 's:', result.error);
+  }
+}
+
+// Thrown inside the event's batch when its processor fails, so the writes it queued
+// (and the notifications it raised) are dropped rather than half-applied
+class EventRollback extends Error {
+  constructor(result) {
+    super(result.error || 'event failed');
+    this.name = 'EventRollback';
+    this.result = result;
+  }
+}
+
+// Log + route one event; never throws, resolves to a processor result.
+// All of the event's writes go out together at the end (see withBatch), and only if it
+// succeeded. Writes already flushed mid-event (a read of a tab it had written) stay, which
+// is why processNewActivity finishes a half-stored activity on the retry.
+async function processQueuedEvent(entry) {
+  const held = [];
+  try {
+    const result = await heldNotifications.run(held, () => getTables().withBatch(async () => {
+      const routed = await routeQueuedEvent(entry);
+      if (!routed.ok) throw new EventRollback(routed);
+      return routed;
+    }));
+    entry.inbox_logged = true; // the batch (inbox row included) has been written
+    releaseNotifications(held);
+    return result;
+  } catch (err) {
+    if (held.length) console.warn('[NOTIFY] dropped', held.length, 'notification(s) raised by a failed attempt');
+    return err instanceof EventRollback ? err.result : processorFailure(err);
+  }
+}
+
+async function routeQueuedEvent(entry) {
+  const evt = entry.evt || {};
+  try {
+    // 1) Log every event to inbox (once, so retries don't duplicate rows). A coalesced
+    //    entry logs the original events it stands for, not the combined one.
+    if (!entry.inbox_logged) {
+      const ts = new Date().toISOString();
+      await appendToSheet('inbox', (entry.unlogged || [evt]).map(e => [
+        ts,
+        e.object_type || '',
+        e.aspect_type || '',
+        e.object_id || '',
+        e.owner_id || '',
+        JSON.stringify(e || {})
+      ]));
+    }
+
+    // 2) Route by type/aspect
+    if (evt.object_type === 'activity') {
+      if (evt.aspect_type === 'create') {
+        return await processNewActivity(evt.object_id, evt.owner_id);
+      } else if (evt.aspect_type === 'update') {
+        return await processActivityUpdate(evt);
+      } else if (evt.aspect_type === 'delete') {
+        return await processActivityDelete(evt); // HARD DELETE
+      }
+    } else if (evt.object_type === 'athlete') {
+      return await processAthleteEvent(evt);
+    }
+    return { ok: true }; // nothing to do for unknown types
+  } catch (err) {
+    return processorFailure(err);
+  }
+}
+
+// ================================
+// Dead letter (events that exhausted their retries)
+// ================================
+const DEAD_LETTER_HEADERS = [
+  'ts','event_id','object_type','aspect_type','object_id','owner_id',
+  'attempts','last_error','raw_json','requeued_at'
+];
+
+async function deadLetterEvent(entry, error) {
+  const evt = entry.evt || {};
+  try {
+    await ensureTabWithHeaders('dead_letter', DEAD_LETTER_HEADERS);
+    await appendRows('dead_letter', [[
+      new Date().toISOString(),
+      entry.id,
+      evt.object_type || '',
+      evt.aspect_type || '',
+      evt.object_id || '',
+      evt.owner_id || '',
+      (entry.attempts || 0) + 1,
+      String(error || '').slice(0, 5000),
+      JSON.stringify(evt),
+      ''
+    ]]);
+    markEventDone(entry);
+    console.error('[DEAD LETTER] gave up on', entry.id, evt.object_type, evt.aspect_type, evt.object_id, '-', error);
+  } catch (err) {
+    // Sheets is down too: keep the event journaled and try again later
+    markEventRetry(entry, error);
+    console.error('[DEAD LETTER ERROR]', err?.response?.data || err.message || err);
+  }
+}
+
+// Put dead-lettered events back on the queue. eventId = a dead_letter.event_id, or null for all
+// rows not yet requeued. Returns the number of events requeued.
+async function requeueDeadLetters(eventId = null) {
+  await ensureTabWithHeaders('dead_letter', DEAD_LETTER_HEADERS);
+  const rows = await readTabRecords('dead_letter');
+
+  let count = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (r.requeued_at) continue;
+    if (eventId && String(r.event_id) !== String(eventId)) continue;
+
+    let evt;
+    try { evt = JSON.parse(r.raw_json || ''); } catch {
+      console.warn('[DEAD LETTER] unparseable raw_json at row', i + 2);
+      continue;
+    }
+    enqueueEvent(evt, { dedupe: false });
+    await updateRecord('dead_letter', i + 2, { requeued_at: new Date().toISOString() });
+    count++;
+  }
+  console.log('[DEAD LETTER] requeued', count, 'event(s)');
+  return count;
+}
+
+// ================================
+// Replay (re-run events logged in the inbox tab)
+// ================================
+// Every event lands in `inbox` (raw_json) before it is processed, so after an outage or
+// a processor fix a slice of it can be run again. Filters (all optional, at least one
+// required): since/until (ISO time or YYYY-MM-DD, matched against inbox.ts, until is
+// exclusive), owner_id, object_id, object_type, aspect_type. Replayed events skip
+// deduplication and are not logged to inbox a second time.
+//   dry_run  runs the processors against the live data but records writes instead of
+//            making them, and reports the planned changes per event
+//   the admin endpoint queues the events like webhooks; the CLI (which doesn't own the
+//   queue journal) processes them in order itself, stopping at a Strava rate limit
+const REPLAY_FILTER_KEYS = ['since', 'until', 'owner_id', 'object_id', 'object_type', 'aspect_type'];
+const REPLAY_REPORT_TABS = new Set(['activities', 'segment_efforts']);
+
+function parseReplayTime(value, name) {
+  if (!value) return null;
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(ms)) throw new RangeError(`Bad ${name} "${value}" (expected an ISO time or YYYY-MM-DD)`);
+  return ms;
+}
+
+// Inbox rows matching the filter, oldest first: [{ row, ts, evt }]
+async function selectInboxEvents(filter = {}) {
+  const f = Object.fromEntries(REPLAY_FILTER_KEYS.map(k => [k, String(filter[k] ?? '').trim()]).filter(([, v]) => v));
+  if (!Object.keys(f).length) throw new RangeError(`Pick at least one filter: ${REPLAY_FILTER_KEYS.join(', ')}`);
+  const since = parseReplayTime(f.since, 'since');
+  const until = parseReplayTime(f.until, 'until');
+
+  await ensureTabWithHeaders('inbox', INBOX_HEADERS);
+  const rows = await readTabRecords('inbox');
+  const selected = [];
+  let unparseable = 0;
+  rows.forEach((r, i) => {
+    const ts = Date.parse(r.ts);
+    if (since !== null && !(ts >= since)) return;
+    if (until !== null && !(ts < until)) return;
+    if (f.owner_id && !idsEqual(r.owner_id, f.owner_id)) return;
+    if (f.object_id && !idsEqual(r.object_id, f.object_id)) return;
+    if (f.object_type && r.object_type !== f.object_type) return;
+    if (f.aspect_type && r.aspect_type !== f.aspect_type) return;
+
+    let evt;
+    try { evt = JSON.parse(r.raw_json || ''); } catch { evt = null; }
+    if (!evt || !evt.object_type) { // unparseable, or not a Strava event (e.g. a sheets ping)
+      unparseable++;
+      return;
+    }
+    selected.push({ row: i + 2, ts: r.ts, evt });
+  });
+  selected.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  return { filter: f, events: selected, unparseable };
+}
+
+function summarizeReplayChanges(changes) {
+  const counts = {};
+  for (const c of changes) {
+    counts[c.tab] = counts[c.tab] || {};
+    counts[c.tab][c.op] = (counts[c.tab][c.op] || 0) + 1;
+  }
+  return counts;
+}
+
+// Runs one replayed event through the normal routing, without re-logging it to inbox
+async function replayEvent(evt) {
+  const entry = { id: crypto.randomUUID(), received_at: new Date().toISOString(), evt, inbox_logged: true };
+  return withLogContext({ ...eventLogFields(entry), replay: true }, () => processQueuedEvent(entry));
+}
+
+async function replayInboxEvents(filter = {}, { dryRun: dry = false, inline = false } = {}) {
+  const { filter: applied, events, unparseable } = await selectInboxEvents(filter);
+  const summary = { filter: applied, dry_run: dry, matched: events.length, unparseable };
+
+  if (!dry && !inline) {
+    summary.queued = events.map(({ evt }) => enqueueEvent(evt, { dedupe: false, logged: true })).filter(Boolean).length;
+    console.log('[REPLAY] queued', summary.queued, 'event(s) from inbox', applied);
+    return summary;
+  }
+
+  summary.events = [];
+  for (const { row, ts, evt } of events) {
+    const report = { inbox_row: row, ts, object_type: evt.object_type, aspect_type: evt.aspect_type, object_id: evt.object_id, owner_id: evt.owner_id };
+    let result;
+    if (dry) {
+      const run = await dryRun(() => replayEvent(evt));
+      result = run.result;
+      report.changes = run.changes.filter(c => REPLAY_REPORT_TABS.has(c.tab));
+      report.other_changes = summarizeReplayChanges(run.changes.filter(c => !REPLAY_REPORT_TABS.has(c.tab)));
+    } else {
+      result = await replayEvent(evt);
+    }
+    report.ok = !!result.ok;
+    if (!result.ok) report.error = result.error;
+    summary.events.push(report);
+
+    if (result.deferUntil) {
+      summary.stopped = `Strava rate limit until ${new Date(result.deferUntil).toISOString()}`;
+      break;
+    }
+  }
+  summary.processed = summary.events.length;
+  summary.failed = summary.events.filter(e => !e.ok).length;
+  console.log('[REPLAY]', dry ? 'dry run of' : 'processed', summary.processed, 'of', summary.matched, 'event(s),', summary.failed, 'failed');
+  return summary;
+}
+
 // ================================
 // Health + tiny landing
 // ================================
@@ -86,11 +909,38 @@ app.get('/', (_req, res) => {
 `<h1>SacUltraCrew OAuth + Webhook</h1>
 <p>Health: <a href="/health">/health</a></p>
 <p>Join: <a href="/join">/join</a></p>
-<p>Sheets ping: <a href="/debug/sheets-ping">/debug/sheets-ping</a></p>`
+<p>Leaderboard: <a href="/leaderboard">/leaderboard</a></p>
+<p>Your data: <a href="/me">/me</a> · <a href="/leaderboard/privacy">Privacy</a></p>
+<p>Admin: <a href="/admin">/admin</a></p>`
   );
 });
 app.get('/health', (_req, res) => res.status(200).send('ok'));
 
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+function collectMetrics() {
+  const now = Date.now();
+  setMetric('suc_queue_depth', {}, inboxQ.length);
+  setMetric('suc_queue_retrying', {}, inboxQ.filter(e => e.next_attempt_at > now).length);
+  setMetric('suc_events_duplicate_total', {}, queueStats.duplicates);
+  setMetric('suc_events_coalesced_total', {}, queueStats.coalesced);
+  if (lastWebhookAt) setMetric('suc_seconds_since_last_webhook', {}, (now - Date.parse(lastWebhookAt)) / 1000);
+  if (lastEventProcessedAt) setMetric('suc_seconds_since_last_event_processed', {}, (now - Date.parse(lastEventProcessedAt)) / 1000);
+  setMetric('suc_strava_paused', {}, stravaPausedUntil(now) ? 1 : 0);
+  setMetric('suc_process_uptime_seconds', {}, process.uptime());
+  setMetric('suc_process_resident_memory_bytes', {}, process.memoryUsage().rss);
+}
+
+app.get('/metrics', (req, res) => {
+  const token = (process.env.METRICS_TOKEN || '').trim();
+  if (token) {
+    const provided = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return res.sendStatus(401);
+  }
+  collectMetrics();
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
 // ================================
 // OAuth: Join Page (Strava-compliant imagery here)
 // ================================
@@ -160,7 +1010,7 @@ app.get('/join', (_req, res) => {
 
     <!-- Strava connect button -->
     <a class="strava-connect" 
-       href="https://www.strava.com/oauth/authorize?client_id=173198&response_type=code&redirect_uri=https%3A%2F%2Fstrava-oauth-proxy.onrender.com%2Fjoin-callback&scope=read,activity:read&approval_prompt=auto">
+       href="${escapeHtml(authorizeUrl)}">
       <img 
         src="/assets/strava/btn_connect_with_strava_orange@1x.png" 
         srcset="/assets/strava/btn_connect_with_strava_orange@1x.png 1x,
@@ -205,16 +1055,58 @@ app.get('/authorize', (_req, res) => {
 // OAuth: callback
 // ================================
 app.get('/join-callback', async (req, res) => {
+  const send = (status, html) => res.set('Content-Type', 'text/html; charset=utf-8').status(status).send(html);
+
+  // Athlete hit "Cancel" on Strava's consent screen
+  if (req.query.error) {
+    return send(200, renderJoinProblemPage(
+      'Not connected',
+      'No worries — nothing was shared. Whenever you’re ready, connect again below.'
+    ));
+  }
+
   const code = req.query.code;
   if (!code) return res.status(400).send('Missing code');
 
+  if (!verifyOAuthState(req.query.state, 'join')) {
+    console.warn('[OAUTH] rejected callback with invalid or expired state');
+    return send(400, renderJoinProblemPage(
+      'This link has expired',
+      'For your security, sign-in links only work for a short time. Please start again below.'
+    ));
+  }
+
+  const scopes = parseGrantedScopes(req.query.scope);
+  if (!hasActivityAccess(scopes)) {
+    console.warn('[OAUTH] missing activity:read, granted:', scopes.join(',') || '(none)');
+    return send(403, renderJoinProblemPage(
+      'Please re-authorize with activity access',
+      'The leaderboard needs <strong>“View data about your activities”</strong> to score your runs, ' +
+      'and it was unticked. Connect again and leave that box checked.'
+    ));
+  }
+
+  // Checked before the code is spent: without a key the tokens couldn't be stored
+  if (!getTokenKeys().current) {
+    console.error('[OAUTH] join refused: TOKEN_ENCRYPTION_KEY is not set');
+    return send(503, renderJoinProblemPage(
+      'Joining is paused',
+      'The leaderboard can’t accept new members right now. Please try again a little later.'
+    ));
+  }
+
   try {
-    const { data } = await axios.post('https://www.strava.com/oauth/token', {
-      client_id: process.env.STRAVA_CLIENT_ID,
-      client_secret: process.env.STRAVA_CLIENT_SECRET,
-      code,
-      grant_type: 'authorization_code',
-    });
+    // Joins skip the local pause: the headroom below the limit is kept for exactly this
+    const { data } = await stravaRequest({
+      method: 'post',
+      url: STRAVA_OAUTH_TOKEN_URL,
+      data: {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        code,
+        grant_type: 'authorization_code',
+      }
+    }, { bypassPause: true });
 
     const {
       access_token,
@@ -223,16 +1115,21 @@ app.get('/join-callback', async (req, res) => {
       athlete: { id, firstname = '', lastname = '' }
     } = data;
 
-    await ensureTabWithHeaders('athletes', ['athlete_id','athlete_name','access_token','refresh_token','expires_at']);
-    await upsertAthleteRow({
+    await ensureTabWithHeaders('athletes', ATHLETES_HEADERS);
+    const { created } = await upsertAthleteRow({
       athlete_id: id,
       athlete_name: `${firstname} ${lastname}`.trim(),
       access_token,
       refresh_token,
-      expires_at
+      expires_at,
+      scope: scopes.join(',')
     });
+    if (created) {
+      await notify('athlete_joined', { athlete_id: id, athlete_name: `${firstname} ${lastname}`.trim(), first_name: firstname }, { key: `athlete_joined:${id}` });
+    }
 
-    
+    // Pull in what they've already run this challenge (runs in the background)
+    backfillAthlete(id).catch(err => console.error('[BACKFILL ERROR]', err?.response?.data || err.message || err));
 
 // --- SUCCESS PAGE (Roboto + SUC Logo + skull + Powered by Strava) ---
     const html = `<!DOCTYPE html>
@@ -297,790 +1194,4330 @@ app.get('/join-callback', async (req, res) => {
     }
     });
 
-// ================================
-// Webhook: verify (GET)
-// ================================
-app.get('/webhook', (req, res) => {
-  const mode = (req.query['hub.mode'] || '').trim();
-  const provided = (req.query['hub.verify_token'] || '').trim();
-  const challenge = req.query['hub.challenge'];
-  const expected = (process.env.STRAVA_VERIFY_TOKEN || '').trim();
-
-  const ok = mode === 'subscribe' && provided === expected && !!challenge;
-  console.log('[VERIFY]', { mode, providedLen: provided.length, expectedLen: expected.length, match: provided === expected });
-
-  if (ok) return res.status(200).json({ 'hub.challenge': challenge });
-  return res.status(403).send('Verification failed.');
+// Shown instead of the success page when a join can't complete (cancelled, expired
+// state, activity access unticked); always offers a fresh consent-forcing connect button.
+// `message` is trusted HTML from our own copy, never request input.
+function renderJoinProblemPage(title, message) {
+  const authorizeUrl = buildAuthorizeUrl({ force: true });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)} — SUC Leaderboard</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <link href="https://fonts.googleapis.com/css2?family=Roboto:wght@400;700&display=swap" rel="stylesheet">
+  <style>
+    body {
+      font-family: 'Roboto', system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+      text-align: center;
+      margin: 48px;
+      color: #222;
+      background: #fff;
+    }
+    .logo {
+      max-width: 200px;
+      margin: 0 auto 16px;
+    }
+    h1 {
+      font-size: 28px;
+      margin: 16px 0;
+    }
+    .msg {
+      font-size: 18px;
+      margin: 18px auto;
+      max-width: 560px;
+      line-height: 1.55;
+    }
+    .strava-connect img {
+      margin: 20px auto;
+      display: inline-block;
+    }
+    .powered-by {
+      margin-top: 40px;
+    }
+  </style>
+</head>
+<body>
+  <img src="/assets/strava/SUC-logo-v2-black.jpg" alt="Sac Ultra Crew" class="logo">
+
+  <h1>${escapeHtml(title)}</h1>
+  <p class="msg">${message}</p>
+
+  <a class="strava-connect" href="${escapeHtml(authorizeUrl)}">
+    <img
+      src="/assets/strava/btn_connect_with_strava_orange@1x.png"
+      srcset="/assets/strava/btn_connect_with_strava_orange@1x.png 1x,
+              /assets/strava/btn_connect_with_strava_orange@2x.png 2x"
+      alt="Connect with Strava" height="48">
+  </a>
+
+  <footer class="powered-by">
+    <img
+      src="/assets/strava/powered_by_strava_orange@2x.png"
+      alt="Powered by Strava"
+      height="24">
+  </footer>
+</body>
+</html>`;
+}
+
+// ================================
+// Webhook: verify (GET)
+// ================================
+app.get('/webhook', (req, res) => {
+  const mode = (req.query['hub.mode'] || '').trim();
+  const provided = (req.query['hub.verify_token'] || '').trim();
+  const challenge = req.query['hub.challenge'];
+  const expected = (process.env.STRAVA_VERIFY_TOKEN || '').trim();
+
+  const ok = mode === 'subscribe' && provided === expected && !!challenge;
+  console.log('[VERIFY]', { mode, providedLen: provided.length, expectedLen: expected.length, match: provided === expected });
+
+  if (ok) return res.status(200).json({ 'hub.challenge': challenge });
+  return res.status(403).send('Verification failed.');
 });
 
 // ================================
 // Webhook: events (POST)
 // ================================
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', (req, res) => {
+  // Shutting down: refuse so Strava redelivers to the next instance
+  if (shuttingDown) return res.sendStatus(503);
   try {
-    res.sendStatus(200); // ACK immediately
     const evt = req.body || {};
-    console.log('[WEBHOOK]', evt);
-    inboxQ.push(evt);
+    const id = crypto.randomUUID(); // correlation id: becomes the queue entry's id
+    withLogContext({ event_id: id }, () => {
+      console.log('[WEBHOOK]', evt);
+      enqueueEvent(evt, { id }); // journaled before the ACK (duplicates are ACKed and dropped)
+    });
+    lastWebhookAt = new Date().toISOString();
+    incMetric('suc_webhook_events_received_total', eventMetricLabels(evt));
+    res.sendStatus(200);
   } catch (err) {
     console.error('[WEBHOOK ERROR]', err);
+    res.sendStatus(500);
   }
 });
 
-app.get("/leaderboard", (req, res) => {
-  const reportUrl = req.query.url;
-
-  if (!reportUrl) {
-    return res.status(400).send("Missing ?url parameter. Example: /leaderboard?url=https://lookerstudio.google.com/embed/reporting/...");
-  }
-
-  const html = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <title>SUC Leaderboard</title>
-      <style>
-        body { margin: 0; }
-        iframe {
-          width: 100%;
-          height: 1000px; /* Adjust for desktop */
-          border: none;
-        }
-        @media (max-width: 768px) {
-          iframe {
-            height: 1500px; /* Taller for mobile */
-          }
-        }
-      </style>
-    </head>
-    <body>
-      <iframe
-        id="lookerFrame"
-        src="${reportUrl}"
-        allowfullscreen>
-      </iframe>
-      
-
-    </body>
-    </html>
-  `;
+// ================================
+// Webhook: push subscription (Strava /push_subscriptions)
+// ================================
+// Strava allows one push subscription per app. Creating it makes Strava call
+// GET /webhook on the callback URL with our STRAVA_VERIFY_TOKEN, so the deployment
+// must be up. Callback defaults to the REDIRECT_URI origin + /webhook.
+const STRAVA_PUSH_SUBSCRIPTIONS_URL = `${STRAVA_API_BASE}/push_subscriptions`;
+const STRAVA_AUTO_SUBSCRIBE = /^(1|true|yes)$/i.test(process.env.STRAVA_AUTO_SUBSCRIBE || '');
+const pushSubscriptionStatus = { checked_at: null, expected_callback_url: null, ok: null, problem: null, subscription: null };
 
-  res.status(200).send(html);
-});
+// Throws if REDIRECT_URI is set but isn't an absolute URL
+function webhookCallbackUrl() {
+  if (process.env.WEBHOOK_CALLBACK_URL) return process.env.WEBHOOK_CALLBACK_URL.trim();
+  if (!process.env.REDIRECT_URI) return '';
+  try {
+    return new URL('/webhook', process.env.REDIRECT_URI).toString();
+  } catch (err) {
+    throw new Error(`cannot derive the webhook URL from REDIRECT_URI "${process.env.REDIRECT_URI}" (set WEBHOOK_CALLBACK_URL): ${err.message}`);
+  }
+}
 
+function stravaAppCredentials() {
+  return { client_id: process.env.STRAVA_CLIENT_ID, client_secret: process.env.STRAVA_CLIENT_SECRET };
+}
+
+// The app's current subscription ({ id, callback_url, created_at, ... }) or null
+async function viewPushSubscription() {
+  const { data } = await stravaRequest({
+    method: 'get',
+    url: STRAVA_PUSH_SUBSCRIPTIONS_URL,
+    params: stravaAppCredentials()
+  }, { bypassPause: true });
+  return (Array.isArray(data) && data[0]) || null;
+}
+
+async function createPushSubscription() {
+  const existing = await viewPushSubscription();
+  if (existing) {
+    throw new Error(`Subscription ${existing.id} already exists for ${existing.callback_url}; delete it first`);
+  }
+  const callback_url = webhookCallbackUrl();
+  const verify_token = (process.env.STRAVA_VERIFY_TOKEN || '').trim();
+  if (!callback_url) throw new Error('Set WEBHOOK_CALLBACK_URL (or REDIRECT_URI) first');
+  if (!verify_token) throw new Error('Set STRAVA_VERIFY_TOKEN first');
+
+  const { data } = await stravaRequest({
+    method: 'post',
+    url: STRAVA_PUSH_SUBSCRIPTIONS_URL,
+    data: new URLSearchParams({ ...stravaAppCredentials(), callback_url, verify_token })
+  }, { bypassPause: true });
+  console.log('[SUBSCRIPTION] created', data.id, 'for', callback_url);
+  return { id: data.id, callback_url };
+}
+
+// Deletes the given subscription id, or the current one. Returns the deleted id (null if none)
+async function deletePushSubscription(id) {
+  const target = id || (await viewPushSubscription())?.id;
+  if (!target) return null;
+  await stravaRequest({
+    method: 'delete',
+    url: `${STRAVA_PUSH_SUBSCRIPTIONS_URL}/${target}`,
+    params: stravaAppCredentials()
+  }, { bypassPause: true });
+  console.log('[SUBSCRIPTION] deleted', target);
+  return target;
+}
 
+// Startup check: a subscription exists and points at this deployment's callback URL
+// Never throws: every problem (config included) ends up in pushSubscriptionStatus.problem
+async function checkPushSubscription() {
+  let expected = '';
+  pushSubscriptionStatus.checked_at = new Date().toISOString();
+  try {
+    expected = webhookCallbackUrl();
+    pushSubscriptionStatus.expected_callback_url = expected || null;
+    let sub = await viewPushSubscription();
+    if (!sub && STRAVA_AUTO_SUBSCRIBE) {
+      await createPushSubscription();
+      sub = await viewPushSubscription();
+    }
+    pushSubscriptionStatus.subscription = sub;
+    if (!sub) {
+      pushSubscriptionStatus.problem = 'no push subscription exists; webhooks will not arrive';
+    } else if (expected && sub.callback_url !== expected) {
+      pushSubscriptionStatus.problem = `subscription points at ${sub.callback_url}, expected ${expected}`;
+    } else {
+      pushSubscriptionStatus.problem = null;
+    }
+  } catch (err) {
+    pushSubscriptionStatus.problem = `could not check subscription: ${describeError(err)}`;
+  }
+  pushSubscriptionStatus.ok = !pushSubscriptionStatus.problem;
+  if (pushSubscriptionStatus.ok) console.log('[SUBSCRIPTION] ok:', pushSubscriptionStatus.subscription.id, '->', expected);
+  else console.warn('[SUBSCRIPTION]', pushSubscriptionStatus.problem);
+  return pushSubscriptionStatus;
+}
 
 // ================================
-// Debug
+// Leaderboard (server-rendered) + standings API
 // ================================
-app.get('/debug/sheets-ping', async (_req, res) => {
-  try {
-    await appendToSheet('inbox', [[ new Date().toISOString(), 'diag', 'ping', '', '', 'hello from Render' ]]);
-    res.status(200).send('OK: wrote a test row to inbox');
-  } catch (e) {
-    console.error('[DEBUG SHEETS PING ERROR]', e?.response?.data || e.message);
-    res.status(500).send('ERROR: ' + (e?.response?.data?.error?.message || e.message));
+// Standings are computed here from the `activities` tab using the derived week_start /
+// month / is_night_run / is_5k_plus columns, so Looker Studio is optional. The tab is
+// read at most once per STANDINGS_CACHE_MS however many people load the page.
+const STANDINGS_CACHE_MS = Number(process.env.STANDINGS_CACHE_MS || 60 * 1000);
+const LEADERBOARD_SPORT_TYPES = new Set(
+  (process.env.LEADERBOARD_SPORT_TYPES || 'Run,TrailRun,VirtualRun').split(',').map(v => v.trim()).filter(Boolean)
+);
+const STANDINGS_METRICS = {
+  distance:    { label: 'Distance',    unit: 'km',   column: 'distance_m',        scale: 1 / 1000 },
+  elevation:   { label: 'Elevation',   unit: 'm',    column: 'total_elev_gain_m', scale: 1 },
+  moving_time: { label: 'Moving time', unit: 'h',    column: 'moving_time_s',     scale: 1 / 3600 },
+  night_runs:  { label: 'Night runs',  unit: 'runs', flag: 'is_night_run' },
+  '5k_plus':   { label: '5k+ runs',    unit: 'runs', flag: 'is_5k_plus' }
+};
+const STANDINGS_PERIODS = { week: 'week_start', month: 'month' };
+let activitiesCache = { at: 0, records: null };
+
+// Sheets hands back "TRUE"/"12.5" strings, the JSON backend real booleans/numbers
+function cellBool(v) {
+  return v === true || String(v).trim().toUpperCase() === 'TRUE';
+}
+
+function cellNumber(v) {
+  const n = Number(String(v ?? '').replace(/,/g, ''));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// activities rows as { header: value } objects (cached)
+async function readActivityRecords() {
+  if (activitiesCache.records && Date.now() - activitiesCache.at < STANDINGS_CACHE_MS) return activitiesCache.records;
+  const headers = await getTables().getHeaders('activities');
+  const rows = await getTables().readRows('activities');
+  const records = rows.map(r => Object.fromEntries(headers.map((h, i) => [String(h).trim(), r[i]])));
+  activitiesCache = { at: Date.now(), records };
+  return records;
+}
+
+// Same week/month keys mapActivityRow writes, for "now" on the crew's clock
+function currentPeriodKey(period) {
+  const fields = derivedDateFields(localDateParts(new Date().toISOString(), null, CREW_TIMEZONE));
+  return period === 'month' ? fields.month : fields.weekStart;
+}
+
+async function computeStandings({ period = 'week', metric = 'distance', key } = {}) {
+  if (!STANDINGS_PERIODS[period]) throw new RangeError(`period must be one of: ${Object.keys(STANDINGS_PERIODS).join(', ')}`);
+  const def = STANDINGS_METRICS[metric];
+  if (!def) throw new RangeError(`metric must be one of: ${Object.keys(STANDINGS_METRICS).join(', ')}`);
+  const periodKey = key || currentPeriodKey(period);
+
+  const byAthlete = new Map();
+  for (const rec of await readActivityRecords()) {
+    if (String(rec[STANDINGS_PERIODS[period]] ?? '') !== periodKey) continue;
+    if (LEADERBOARD_SPORT_TYPES.size && !LEADERBOARD_SPORT_TYPES.has(String(rec.sport_type || ''))) continue;
+    if (rec.visibility === 'only_me') continue; // never rank private activities
+
+    const id = String(rec.athlete_id || '');
+    if (!id) continue;
+    const entry = byAthlete.get(id) || { athlete_id: id, athlete_name: rec.athlete_name || '', raw: 0, activities: 0 };
+    entry.raw += def.flag ? (cellBool(rec[def.flag]) ? 1 : 0) : cellNumber(rec[def.column]);
+    entry.activities += 1;
+    if (rec.athlete_name) entry.athlete_name = rec.athlete_name;
+    byAthlete.set(id, entry);
   }
-});
 
-app.get('/debug/env', (_req, res) => {
-  const mask = (s) => s ? (s.slice(0,6) + '...' + s.slice(-6)) : '(missing)';
-  res.status(200).json({
-    STRAVA_CLIENT_ID: process.env.STRAVA_CLIENT_ID || '(missing)',
-    STRAVA_VERIFY_TOKEN_len: (process.env.STRAVA_VERIFY_TOKEN || '').trim().length,
-    GOOGLE_PRIVATE_KEY_len: (process.env.GOOGLE_PRIVATE_KEY || '').trim().length,
-    GOOGLE_SHEET_ID_masked: mask(process.env.GOOGLE_SHEET_ID || ''),
-    GOOGLE_SERVICE_EMAIL: process.env.GOOGLE_SERVICE_EMAIL || '(missing)',
-    REDIRECT_URI: process.env.REDIRECT_URI || '(missing)'
+  const ranked = [...byAthlete.values()]
+    .filter(e => e.raw > 0)
+    .sort((a, b) => b.raw - a.raw || a.athlete_name.localeCompare(b.athlete_name));
+
+  // Ties share a rank (1, 2, 2, 4)
+  let rank = 0;
+  const standings = ranked.map((e, i) => {
+    if (i === 0 || e.raw !== ranked[i - 1].raw) rank = i + 1;
+    const value = def.scale ? Math.round(e.raw * def.scale * 100) / 100 : e.raw;
+    return { rank, athlete_id: e.athlete_id, athlete_name: e.athlete_name, value, activities: e.activities };
   });
+
+  return {
+    period, key: periodKey, metric, label: def.label, unit: def.unit,
+    generated_at: new Date(activitiesCache.at || Date.now()).toISOString(),
+    standings
+  };
+}
+
+app.get('/api/standings', async (req, res) => {
+  try {
+    const result = await computeStandings({
+      period: String(req.query.period || 'week'),
+      metric: String(req.query.metric || 'distance'),
+      key: req.query.key ? String(req.query.key) : undefined
+    });
+    res.set('Cache-Control', 'public, max-age=60').status(200).json(result);
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    console.error('[STANDINGS ERROR]', err?.response?.data || err.message);
+    res.status(500).json({ error: 'Could not compute standings' });
+  }
 });
 
-app.get("/leaderboard", (req, res) => {
-  const reportUrl = req.query.url;
-
-  if (!reportUrl) {
-    return res
-      .status(400)
-      .send(
-        "Missing ?url parameter. Example: /leaderboard?url=https://lookerstudio.google.com/embed/reporting/..."
-      );
-  }
-
-  const html = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0"> 
-      <title>SUC Leaderboard</title>
-      <link href="https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap" rel="stylesheet">
-      <style>
-        body {
-          font-family: 'Roboto', sans-serif;
-          margin: 0;
-          padding: 0;
-          text-align: center;
-          color: #333;
-          background: #fff;
-        }
+function formatStandingValue(value, metric) {
+  if (metric === 'moving_time') {
+    const mins = Math.round(value * 60);
+    return `${Math.floor(mins / 60)}:${String(mins % 60).padStart(2, '0')}`;
+  }
+  if (metric === 'distance') return value.toFixed(1);
+  return String(Math.round(value));
+}
 
-        iframe {
-          width: 100%;
-          border: none;
-          min-height: 100vh; /* fallback */
-        }
+app.get('/leaderboard', async (req, res) => {
+  const period = STANDINGS_PERIODS[req.query.period] ? String(req.query.period) : 'week';
+  const metric = STANDINGS_METRICS[req.query.metric] ? String(req.query.metric) : 'distance';
 
-        /* Desktop */
-        @media (min-width: 1024px) {
-          iframe {
-            height: 1200px;
-          }
-        }
+  let result;
+  try {
+    result = await computeStandings({ period, metric, key: req.query.key ? String(req.query.key) : undefined });
+  } catch (err) {
+    console.error('[LEADERBOARD ERROR]', err?.response?.data || err.message);
+    return res.status(500).send('Leaderboard is unavailable right now.');
+  }
 
-        /* Tablet */
-        @media (min-width: 768px) and (max-width: 1023px) {
-          iframe {
-            height: 1000px;
-          }
-        }
+  const link = (p, m) => `/leaderboard?period=${encodeURIComponent(p)}&metric=${encodeURIComponent(m)}`;
+  const periodTabs = Object.keys(STANDINGS_PERIODS).map(p =>
+    `<a class="tab${p === period ? ' active' : ''}" href="${link(p, metric)}">${p === 'week' ? 'This week' : 'This month'}</a>`).join('');
+  const metricTabs = Object.entries(STANDINGS_METRICS).map(([m, def]) =>
+    `<a class="tab${m === metric ? ' active' : ''}" href="${link(period, m)}">${escapeHtml(def.label)}</a>`).join('');
+  const rows = result.standings.map(s => `
+        <tr>
+          <td class="rank">${s.rank}</td>
+          <td class="name">${escapeHtml(s.athlete_name || 'Athlete')}
+            <a class="view-on-strava" href="https://www.strava.com/athletes/${encodeURIComponent(s.athlete_id)}" target="_blank" rel="noopener">View on Strava</a></td>
+          <td class="value">${escapeHtml(formatStandingValue(s.value, metric))} <span class="unit">${escapeHtml(result.unit)}</span></td>
+        </tr>`).join('');
 
-        /* iPhone / small mobile */
-        @media (max-width: 767px) {
-          iframe {
-            height: 2000px; /* taller so mobile users can scroll */
-          }
-        }
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SUC Leaderboard</title>
+  <link href="https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap" rel="stylesheet">
+  <style>
+    body {
+      font-family: 'Roboto', sans-serif;
+      margin: 0 auto;
+      padding: 24px 12px;
+      max-width: 720px;
+      color: #222;
+      background: #fff;
+      text-align: center;
+    }
+    .logo { max-width: 160px; }
+    h1 { font-size: 26px; margin: 12px 0 4px; }
+    .sub { color: #666; font-size: 14px; margin-bottom: 16px; }
+    .tabs { display: flex; flex-wrap: wrap; justify-content: center; gap: 6px; margin: 8px 0; }
+    .tab {
+      padding: 6px 12px;
+      border: 1px solid #ddd;
+      border-radius: 16px;
+      color: #333;
+      text-decoration: none;
+      font-size: 14px;
+    }
+    .tab.active { background: #FC5200; border-color: #FC5200; color: #fff; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; text-align: left; }
+    td { padding: 10px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    .rank { width: 36px; font-weight: 700; text-align: center; }
+    .value { text-align: right; white-space: nowrap; font-weight: 500; }
+    .unit { color: #888; font-size: 12px; }
+    .view-on-strava {
+      display: block;
+      font-size: 12px;
+      color: #FC5200;
+      text-decoration: underline;
+      margin-top: 2px;
+    }
+    .empty { color: #888; padding: 24px 0; }
+    .powered-by { margin-top: 32px; }
+    @media (max-width: 480px) {
+      h1 { font-size: 22px; }
+      td { padding: 8px 4px; }
+    }
+  </style>
+</head>
+<body>
+  <img src="/assets/strava/SUC-logo-v2-black.jpg" alt="Sac Ultra Crew" class="logo">
+  <h1>SUC Leaderboard</h1>
+  <div class="sub">${escapeHtml(result.period === 'week' ? 'Week of' : 'Month')} ${escapeHtml(result.key)} · ${escapeHtml(result.label)}</div>
 
-        .consent {
-          max-width: 600px;
-          margin: 20px auto;
-          font-size: 14px;
-          line-height: 1.5;
-          color: #444;
-        }
+  <nav class="tabs">${periodTabs}</nav>
+  <nav class="tabs">${metricTabs}</nav>
+  <nav class="tabs"><a class="tab" href="/leaderboard/segments">Segments &amp; course records</a></nav>
 
-        a img {
-          margin: 20px 0;
-          max-width: 150px;
-        }
+  ${result.standings.length ? `<table>${rows}
+  </table>` : '<p class="empty">No activities yet for this period — get out there!</p>'}
 
-        a {
-          color: #FC5200;
-          text-decoration: underline;
-        }
-      </style>
-    </head>
-    <body>
-      <iframe
-        id="lookerFrame"
-        src="${reportUrl}"
-        allowfullscreen>
-      </iframe>
-    </body>
-    </html>
-  `;
+  <footer class="powered-by">
+    <img
+      src="/assets/strava/powered_by_strava_orange@2x.png"
+      alt="Powered by Strava"
+      height="24">
+  </footer>
+</body>
+</html>`;
+
+  res.set('Content-Type', 'text/html; charset=utf-8').status(200).send(html);
+});
 
+// Optional Looker Studio embed. The report URL comes from config only (never the query
+// string, which is what made the old ?url= page an XSS hole).
+app.get('/leaderboard/report', (_req, res) => {
+  const reportUrl = (process.env.LOOKER_EMBED_URL || '').trim();
+  if (!/^https:\/\/lookerstudio\.google\.com\/embed\//.test(reportUrl)) {
+    return res.status(404).send('No Looker Studio report configured.');
+  }
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SUC Leaderboard — Report</title>
+  <style>
+    body { margin: 0; }
+    iframe {
+      width: 100%;
+      border: none;
+      min-height: 100vh;
+    }
+  </style>
+</head>
+<body>
+  <iframe id="lookerFrame" src="${escapeHtml(reportUrl)}" allowfullscreen></iframe>
+</body>
+</html>`;
   res.status(200).send(html);
 });
 
+// ================================
+// Watched segments + crew course records
+// ================================
+// Only efforts on watched segments are stored (that's what the /join consent copy
+// promises). A segment is watched when it's listed in WATCHED_SEGMENT_IDS, enabled in the
+// `watched_segments` tab, or used by a segment_time challenge.
+//
+// The crew course record (CR) is the fastest effort from a non-private activity. Every
+// change is appended to `course_records`, so the latest row per segment is the current
+// holder and older rows are the history:
+//   new_record     -> first record, or someone went faster
+//   record_removed -> the holder's effort was deleted / made private; next best inherits
+//   cleared        -> no eligible efforts left
+const WATCHED_SEGMENTS_CACHE_MS = Number(process.env.WATCHED_SEGMENTS_CACHE_MS || 60 * 1000);
+const WATCHED_SEGMENTS_HEADERS = ['segment_id','segment_name','enabled','added_at'];
+const COURSE_RECORDS_HEADERS = [
+  'segment_id','segment_name','athlete_id','athlete_name','activity_id',
+  'elapsed_time_s','effort_date','previous_athlete_id','previous_time_s','reason','recorded_at'
+];
+let watchedSegmentsCache = { at: 0, map: null };
 
+// Map of segment_id -> display name ('' when unknown)
+async function loadWatchedSegments({ fresh = false } = {}) {
+  if (!fresh && watchedSegmentsCache.map && Date.now() - watchedSegmentsCache.at < WATCHED_SEGMENTS_CACHE_MS) {
+    return watchedSegmentsCache.map;
+  }
 
+  const map = new Map();
+  for (const id of (process.env.WATCHED_SEGMENT_IDS || '').split(',').map(v => v.trim()).filter(Boolean)) {
+    map.set(id, '');
+  }
 
+  await ensureTabWithHeaders('watched_segments', WATCHED_SEGMENTS_HEADERS);
+  for (const rec of await readTabRecords('watched_segments')) {
+    const id = String(rec.segment_id ?? '').trim();
+    if (!id || /^(false|no|0)$/i.test(String(rec.enabled ?? '').trim())) continue;
+    map.set(id, String(rec.segment_name || map.get(id) || ''));
+  }
 
-// ===== Start server =====
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log("✅ Server running on port " + PORT);
-});
+  try {
+    for (const c of await loadChallenges()) {
+      if (c.metric === 'segment_time' && !map.has(c.segment_id)) map.set(c.segment_id, '');
+    }
+  } catch (err) {
+    console.error('[SEGMENTS] could not read challenge segments:', err.message);
+  }
 
-// ================================
-// Google Sheets client + helpers
-// ================================
-async function getSheetsClient() {
-  const sheets = google.sheets('v4');
+  watchedSegmentsCache = { at: Date.now(), map };
+  return map;
+}
 
-  // Handle quotes + \n in private key from env
-  let privateKey = process.env.GOOGLE_PRIVATE_KEY || '';
-  if (privateKey.startsWith('"') && privateKey.endsWith('"')) privateKey = privateKey.slice(1, -1);
-  privateKey = privateKey.replace(/\\n/g, '\n');
+async function watchSegment(segmentId, segmentName = '') {
+  const id = String(segmentId || '').trim();
+  if (!/^\d+$/.test(id)) throw new RangeError('segment_id must be a numeric Strava segment id');
+  await ensureTabWithHeaders('watched_segments', WATCHED_SEGMENTS_HEADERS);
+  const existing = await findRowIndicesByHeader('watched_segments', 'segment_id', id);
+  if (existing.length) {
+    const col = await getHeaderIndex('watched_segments', 'enabled');
+    for (const row of existing) await updateSingleCell('watched_segments', row, col, true);
+  } else {
+    await appendRows('watched_segments', [[ id, String(segmentName || ''), true, new Date().toISOString() ]]);
+  }
+  watchedSegmentsCache = { at: 0, map: null };
+  return { segment_id: id, watched: true };
+}
+
+// Best time per athlete on one segment, ignoring private (and unknown) activities
+async function computeSegmentLeaderboard(segmentId) {
+  const id = String(segmentId);
+  await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+  await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+  const activities = new Map();
+  for (const a of await readTabRecords('activities')) activities.set(String(a.activity_id), a);
+
+  let segmentName = '';
+  const best = new Map();
+  for (const e of await readTabRecords('segment_efforts')) {
+    if (!idsEqual(e.segment_id, id)) continue;
+    if (e.segment_name) segmentName = String(e.segment_name);
+    const act = activities.get(String(e.activity_id));
+    if (!act || act.visibility === 'only_me') continue;
+    const time = cellNumber(e.elapsed_time_s);
+    if (time <= 0) continue;
+
+    const athleteId = String(e.athlete_id);
+    const date = String(e.start_date_local || e.start_date || '');
+    const prev = best.get(athleteId);
+    // Same time: the earlier effort keeps it
+    if (prev && (prev.elapsed_time_s < time || (prev.elapsed_time_s === time && prev.effort_date <= date))) continue;
+    best.set(athleteId, {
+      athlete_id: athleteId,
+      athlete_name: act.athlete_name || '',
+      activity_id: String(e.activity_id),
+      elapsed_time_s: time,
+      effort_date: date
+    });
+  }
 
-  const jwt = new google.auth.JWT({
-    email: process.env.GOOGLE_SERVICE_EMAIL,
-    key: privateKey,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  const ranked = [...best.values()].sort((a, b) =>
+    a.elapsed_time_s - b.elapsed_time_s || a.effort_date.localeCompare(b.effort_date));
+  let rank = 0;
+  const entries = ranked.map((e, i) => {
+    if (i === 0 || e.elapsed_time_s !== ranked[i - 1].elapsed_time_s) rank = i + 1;
+    return { rank, ...e };
   });
-  await jwt.authorize();
+  return { segment_id: id, segment_name: segmentName, entries };
+}
 
-  return { sheets, jwt, spreadsheetId: process.env.GOOGLE_SHEET_ID };
+// Latest course_records row per segment_id
+async function currentCourseRecords() {
+  await ensureTabWithHeaders('course_records', COURSE_RECORDS_HEADERS);
+  const current = new Map();
+  for (const r of await readTabRecords('course_records')) current.set(String(r.segment_id), r);
+  return current;
 }
 
-function colToA1(n) {
-  let s = '';
-  while (n > 0) {
-    const m = (n - 1) % 26;
-    s = String.fromCharCode(65 + m) + s;
-    n = Math.floor((n - 1) / 26);
+// One segment's course_records rows, newest first
+async function courseRecordHistory(segmentId) {
+  await ensureTabWithHeaders('course_records', COURSE_RECORDS_HEADERS);
+  return (await readTabRecords('course_records')).filter(r => idsEqual(r.segment_id, segmentId)).reverse();
+}
+
+// Compare each segment's fastest eligible effort with its current CR and append a
+// course_records row when it changed. Safe to call as often as you like.
+async function refreshCourseRecords(segmentIds) {
+  const watched = await loadWatchedSegments();
+  const ids = [...new Set([...segmentIds].map(String))].filter(id => watched.has(id));
+  if (!ids.length) return [];
+
+  const current = await currentCourseRecords();
+  const changes = [];
+  for (const id of ids) {
+    const board = await computeSegmentLeaderboard(id);
+    const top = board.entries[0];
+    const cur = current.get(id);
+    const holder = cur && cur.athlete_id ? cur : null;
+
+    if (!top && !holder) continue;
+    if (top && holder && idsEqual(holder.activity_id, top.activity_id) && cellNumber(holder.elapsed_time_s) === top.elapsed_time_s) continue;
+
+    let reason = 'new_record';
+    if (!top) reason = 'cleared';
+    else if (holder && top.elapsed_time_s >= cellNumber(holder.elapsed_time_s)) reason = 'record_removed';
+
+    changes.push([
+      id, board.segment_name || watched.get(id) || (cur && cur.segment_name) || '',
+      top ? top.athlete_id : '', top ? top.athlete_name : '', top ? top.activity_id : '',
+      top ? top.elapsed_time_s : '', top ? top.effort_date : '',
+      holder ? holder.athlete_id : '', holder ? holder.elapsed_time_s : '',
+      reason, new Date().toISOString()
+    ]);
   }
-  return s;
+
+  if (changes.length) {
+    await appendRows('course_records', changes);
+    for (const c of changes) console.log('[RECORDS]', c[9], 'segment', c[0], c[3] || '-', c[5] || '');
+    await notifyCourseRecords(changes, current);
+  }
+  return changes;
 }
 
-async function ensureTabWithHeaders(tabName, headers) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const meta = await sheets.spreadsheets.get({ auth: jwt, spreadsheetId });
-  const titles = new Set((meta.data.sheets || []).map(s => s.properties.title));
-  if (!titles.has(tabName)) {
-    await sheets.spreadsheets.batchUpdate({
-      auth: jwt,
-      spreadsheetId,
-      requestBody: { requests: [{ addSheet: { properties: { title: tabName } } }] }
-    });
-    await sheets.spreadsheets.values.update({
-      auth: jwt,
-      spreadsheetId,
-      range: `${tabName}!A1:${colToA1(headers.length)}1`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [headers] }
+// Like refreshCourseRecords, but for processors: a failure is logged, never fatal
+async function refreshCourseRecordsQuietly(segmentIds) {
+  try {
+    await refreshCourseRecords(segmentIds);
+  } catch (err) {
+    console.error('[RECORDS ERROR]', err?.response?.data || err.message || err);
+  }
+}
+
+// Drop stored efforts on segments nobody watches any more
+async function pruneUnwatchedEfforts() {
+  const watched = await loadWatchedSegments({ fresh: true });
+  const headers = await getTables().getHeaders('segment_efforts');
+  const col = headers.findIndex(h => String(h).trim() === 'segment_id');
+  if (col < 0) return { removed: 0 };
+  const rows = await getTables().readRows('segment_efforts');
+  const stale = [];
+  rows.forEach((r, i) => { if (!watched.has(String(r[col] ?? '').trim())) stale.push(i + 2); });
+  await deleteRows('segment_efforts', stale);
+  console.log('[SEGMENTS] pruned', stale.length, 'effort row(s) on unwatched segments');
+  return { removed: stale.length, kept: rows.length - stale.length };
+}
+
+function formatSegmentTime(seconds) {
+  const s = Math.round(cellNumber(seconds));
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = s % 60;
+  return h ? `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}` : `${m}:${String(sec).padStart(2, '0')}`;
+}
+
+app.get('/api/segments', async (_req, res) => {
+  try {
+    const watched = await loadWatchedSegments();
+    const records = await currentCourseRecords();
+    const segments = [...watched.entries()].map(([id, name]) => {
+      const cr = records.get(id);
+      return {
+        segment_id: id,
+        segment_name: (cr && cr.segment_name) || name,
+        course_record: cr && cr.athlete_id ? {
+          athlete_id: String(cr.athlete_id),
+          athlete_name: cr.athlete_name,
+          activity_id: String(cr.activity_id),
+          elapsed_time_s: cellNumber(cr.elapsed_time_s),
+          effort_date: cr.effort_date,
+          since: cr.recorded_at
+        } : null
+      };
     });
+    res.set('Cache-Control', 'public, max-age=60').status(200).json({ segments });
+  } catch (err) {
+    console.error('[SEGMENTS ERROR]', err?.response?.data || err.message);
+    res.status(500).json({ error: 'Could not load segments' });
+  }
+});
+
+app.get('/api/segments/:id', async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    if (!(await loadWatchedSegments()).has(id)) return res.status(404).json({ error: 'Segment is not watched' });
+    const board = await computeSegmentLeaderboard(id);
+    const history = (await courseRecordHistory(id)).map(r => ({
+      athlete_id: String(r.athlete_id || ''),
+      athlete_name: r.athlete_name || '',
+      activity_id: String(r.activity_id || ''),
+      elapsed_time_s: r.elapsed_time_s === '' ? null : cellNumber(r.elapsed_time_s),
+      reason: r.reason,
+      recorded_at: r.recorded_at
+    }));
+    res.set('Cache-Control', 'public, max-age=60').status(200).json({ ...board, history });
+  } catch (err) {
+    console.error('[SEGMENTS ERROR]', err?.response?.data || err.message);
+    res.status(500).json({ error: 'Could not compute segment leaderboard' });
   }
+});
+
+function renderSegmentPage(title, sub, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} — SUC Leaderboard</title>
+  <link href="https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap" rel="stylesheet">
+  <style>
+    body { font-family: 'Roboto', sans-serif; margin: 0 auto; padding: 24px 12px; max-width: 720px; color: #222; text-align: center; }
+    h1 { font-size: 24px; margin: 12px 0 4px; }
+    h2 { font-size: 18px; margin: 28px 0 4px; }
+    .sub { color: #666; font-size: 14px; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; text-align: left; }
+    td { padding: 10px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    .rank { width: 36px; font-weight: 700; text-align: center; }
+    .value { text-align: right; white-space: nowrap; font-weight: 500; }
+    .muted { color: #888; font-size: 12px; }
+    a { color: #FC5200; }
+    .view-on-strava { display: block; font-size: 12px; text-decoration: underline; margin-top: 2px; }
+    .empty { color: #888; padding: 24px 0; }
+    .powered-by { margin-top: 32px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="sub">${sub}</div>
+  ${body}
+  <footer class="powered-by">
+    <img src="/assets/strava/powered_by_strava_orange@2x.png" alt="Powered by Strava" height="24">
+  </footer>
+</body>
+</html>`;
 }
 
-async function appendToSheet(tabName, values) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  if (tabName === 'inbox') {
-    await ensureTabWithHeaders('inbox', ['ts','object_type','aspect_type','object_id','owner_id','raw_json']);
-  }
-  await sheets.spreadsheets.values.append({
-    auth: jwt,
-    spreadsheetId,
-    range: `${tabName}!A1`,
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values },
-  });
-  console.log(`[SHEETS] appended ${values.length} row(s) to ${tabName}`);
+app.get('/leaderboard/segments', async (_req, res) => {
+  try {
+    const watched = await loadWatchedSegments();
+    const records = await currentCourseRecords();
+    const rows = [...watched.entries()].map(([id, name]) => {
+      const cr = records.get(id);
+      const label = (cr && cr.segment_name) || name || `Segment ${id}`;
+      return `
+      <tr>
+        <td><a href="/leaderboard/segments/${encodeURIComponent(id)}">${escapeHtml(label)}</a>
+          <a class="view-on-strava" href="https://www.strava.com/segments/${encodeURIComponent(id)}" target="_blank" rel="noopener">View on Strava</a></td>
+        <td class="value">${cr && cr.athlete_id
+          ? `${escapeHtml(formatSegmentTime(cr.elapsed_time_s))}<div class="muted">CR · ${escapeHtml(cr.athlete_name || 'Athlete')}</div>`
+          : '<span class="muted">No CR yet</span>'}</td>
+      </tr>`;
+    }).join('');
+    const body = rows ? `<table>${rows}
+  </table>` : '<p class="empty">No watched segments yet.</p>';
+    res.set('Content-Type', 'text/html; charset=utf-8').status(200)
+      .send(renderSegmentPage('Watched segments', '<a href="/leaderboard">Back to standings</a>', body));
+  } catch (err) {
+    console.error('[SEGMENTS ERROR]', err?.response?.data || err.message);
+    res.status(500).send('Segments are unavailable right now.');
+  }
+});
+
+app.get('/leaderboard/segments/:id', async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const watched = await loadWatchedSegments();
+    if (!watched.has(id)) return res.status(404).send('Segment is not watched.');
+
+    const board = await computeSegmentLeaderboard(id);
+    const history = await courseRecordHistory(id);
+    const name = board.segment_name || watched.get(id) || `Segment ${id}`;
+
+    const rows = board.entries.map(e => `
+      <tr>
+        <td class="rank">${e.rank}</td>
+        <td>${escapeHtml(e.athlete_name || 'Athlete')}
+          <a class="view-on-strava" href="https://www.strava.com/activities/${encodeURIComponent(e.activity_id)}" target="_blank" rel="noopener">View on Strava</a></td>
+        <td class="value">${escapeHtml(formatSegmentTime(e.elapsed_time_s))}<div class="muted">${escapeHtml(e.effort_date.slice(0, 10))}</div></td>
+      </tr>`).join('');
+    const historyRows = history.map(r => `
+      <tr>
+        <td>${escapeHtml(String(r.recorded_at || '').slice(0, 10))}</td>
+        <td>${escapeHtml(r.athlete_id ? (r.athlete_name || 'Athlete') : '—')}</td>
+        <td class="value">${r.athlete_id ? escapeHtml(formatSegmentTime(r.elapsed_time_s)) : ''}<div class="muted">${escapeHtml(String(r.reason || '').replace('_', ' '))}</div></td>
+      </tr>`).join('');
+
+    const body = `${rows ? `<table>${rows}
+  </table>` : '<p class="empty">No efforts on this segment yet.</p>'}
+  ${historyRows ? `<h2>Course record history</h2><table>${historyRows}
+  </table>` : ''}`;
+    const sub = `<a href="/leaderboard/segments">All segments</a> · <a href="https://www.strava.com/segments/${encodeURIComponent(id)}" target="_blank" rel="noopener">View on Strava</a>`;
+    res.set('Content-Type', 'text/html; charset=utf-8').status(200).send(renderSegmentPage(name, sub, body));
+  } catch (err) {
+    console.error('[SEGMENTS ERROR]', err?.response?.data || err.message);
+    res.status(500).send('Segment leaderboard is unavailable right now.');
+  }
+});
+
+// ================================
+// Athlete self-service (privacy policy, data export, deletion)
+// ================================
+// Athletes log in with Strava at /me (same scopes as /join, so a member's stored grant is
+// never narrowed) and get a short signed session cookie scoped to /me. From there they
+// can download everything we hold about them and delete it all. Deleting revokes our
+// Strava access and runs the same purge as a deauthorization webhook.
+const ATHLETE_SESSION_COOKIE = 'suc_me';
+const ATHLETE_SESSION_TTL_MS = 60 * 60 * 1000;
+const STRAVA_OAUTH_DEAUTHORIZE_URL = `${STRAVA_BASE_URL}/oauth/deauthorize`;
+const ATHLETE_SECRET_COLUMNS = new Set(['access_token', 'refresh_token']);
+// Tabs an athlete's rows live in (each has an athlete_id column). A function because the
+// schemas are declared further down.
+function athleteExportTabs() {
+  return {
+    athletes: ATHLETES_HEADERS,
+    activities: ACTIVITIES_HEADERS,
+    segment_efforts: EFFORTS_HEADERS,
+    challenge_scores: CHALLENGE_SCORES_HEADERS,
+    course_records: COURSE_RECORDS_HEADERS,
+    weekly_summary: WEEKLY_SUMMARY_HEADERS,
+    monthly_summary: MONTHLY_SUMMARY_HEADERS,
+    reconcile_log: RECONCILE_HEADERS
+  };
+}
+
+function meCallbackUrl() {
+  return process.env.REDIRECT_URI ? new URL('/me/callback', process.env.REDIRECT_URI).toString() : '';
+}
+
+function athleteSessionId(req) {
+  const session = verifySignedToken(readCookie(req, ATHLETE_SESSION_COOKIE), 'athlete-session');
+  return session ? String(session.sub) : null;
+}
+
+function requireAthlete(req, res, next) {
+  const athleteId = athleteSessionId(req);
+  if (!athleteId) return res.redirect('/me/login');
+  req.athleteId = athleteId;
+  next();
+}
+
+// { tab: { headers, rows } } of everything stored for one athlete, secrets stripped
+async function collectAthleteData(athleteId) {
+  const out = {};
+  for (const [tab, schema] of Object.entries(athleteExportTabs())) {
+    await ensureTabWithHeaders(tab, schema);
+    const headers = (await getTables().getHeaders(tab)).map(h => String(h).trim());
+    const idCol = headers.indexOf('athlete_id');
+    const keep = headers.map((h, i) => ATHLETE_SECRET_COLUMNS.has(h) ? -1 : i).filter(i => i >= 0);
+    const rows = idCol < 0 ? [] : (await getTables().readRows(tab)).filter(r => idsEqual(r[idCol], athleteId));
+    out[tab] = { headers: keep.map(i => headers[i]), rows: rows.map(r => keep.map(i => r[i] ?? '')) };
+  }
+  return out;
+}
+
+function toCsv(headers, rows) {
+  const cell = (v) => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [headers, ...rows].map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Revoke our Strava grant (best effort: an already-revoked token is fine), then purge
+async function deleteAthleteData(athleteId) {
+  try {
+    const { access_token } = await ensureFreshAccessToken(athleteId);
+    if (access_token) {
+      await stravaRequest({
+        method: 'post',
+        url: STRAVA_OAUTH_DEAUTHORIZE_URL,
+        data: { access_token }
+      }, { bypassPause: true });
+      console.log('[ME] revoked Strava access for', athleteId);
+    }
+  } catch (err) {
+    console.warn('[ME] Strava deauthorize failed for', athleteId, '-', describeError(err));
+  }
+  return getTables().withBatch(() => purgeAthleteData(athleteId, 'self_delete'));
+}
+
+function renderMePage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} — SUC Leaderboard</title>
+  <link href="https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap" rel="stylesheet">
+  <style>
+    body { font-family: 'Roboto', sans-serif; margin: 0 auto; padding: 24px 16px; max-width: 720px; color: #222; line-height: 1.5; }
+    h1 { font-size: 26px; }
+    h2 { font-size: 18px; margin-top: 28px; }
+    a { color: #FC5200; }
+    table { border-collapse: collapse; }
+    td { padding: 4px 12px 4px 0; }
+    .danger { border: 1px solid #f3c2c2; background: #fff6f6; padding: 12px 16px; border-radius: 8px; }
+    .danger button { background: #b00020; color: #fff; border: 0; padding: 8px 14px; border-radius: 4px; cursor: pointer; }
+    input { padding: 6px; }
+    .error { color: #b00020; }
+    .powered-by { margin-top: 32px; text-align: center; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+  <footer class="powered-by">
+    <img src="/assets/strava/powered_by_strava_orange@2x.png" alt="Powered by Strava" height="24">
+  </footer>
+</body>
+</html>`;
+}
+
+app.get('/leaderboard/privacy', (_req, res) => {
+  const contact = (process.env.PRIVACY_CONTACT_EMAIL || '').trim();
+  const body = `
+  <p>SUC Leaderboard is run by Sacramento Ultra Crew volunteers. This page explains what we
+  collect when you connect Strava, what we do with it, and how to get it back or delete it.</p>
+
+  <h2>What we store</h2>
+  <ul>
+    <li>Your Strava athlete id, name, the permissions you granted, and the access tokens Strava
+      issues us (encrypted at rest, never shown or exported).</li>
+    <li>Activity details for activities you upload while connected: name, sport type, distance,
+      times, elevation, start date and location, visibility, and similar summary fields.</li>
+    <li>Your efforts on the segments the crew watches, plus the challenge scores and course
+      records computed from them.</li>
+  </ul>
+
+  <h2>How we use it</h2>
+  <p>Only to run crew leaderboards, challenges and course records. Activities you mark
+  "Only You" on Strava are never ranked. We don't sell or share your data, and we only
+  keep data from activities uploaded while you are connected (plus a short backfill when you join).</p>
+
+  <h2>Your choices</h2>
+  <ul>
+    <li><a href="/me">Download your data</a> as JSON or CSV at any time.</li>
+    <li><a href="/me">Delete your data</a>: one click removes everything above and revokes our
+      Strava access.</li>
+    <li>Revoking SUC Leaderboard in your Strava settings also deletes everything we hold.</li>
+  </ul>
+  ${contact ? `<p>Questions? Email <a href="mailto:${escapeHtml(contact)}">${escapeHtml(contact)}</a>.</p>` : ''}
+  <p><a href="/leaderboard">Back to the leaderboard</a></p>`;
+  res.set('Content-Type', 'text/html; charset=utf-8').status(200).send(renderMePage('Privacy Policy', body));
+});
+
+app.get('/me/login', (req, res) => {
+  const error = req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : '';
+  res.status(200).send(renderMePage('Your data', `${error}
+  <p>Log in with Strava to download or delete the data SUC Leaderboard holds about you.</p>
+  <p><a href="/me/login/strava">Log in with Strava</a></p>
+  <p><a href="/leaderboard/privacy">Privacy Policy</a></p>`));
+});
+
+app.get('/me/login/strava', (_req, res) => {
+  res.redirect(buildAuthorizeUrl({ purpose: 'me', redirectUri: meCallbackUrl() }));
+});
+
+app.get('/me/callback', async (req, res) => {
+  if (!req.query.code || !verifyOAuthState(req.query.state, 'me')) {
+    return res.redirect('/me/login?error=' + encodeURIComponent('Strava login failed or expired'));
+  }
+  try {
+    const { data } = await stravaRequest({
+      method: 'post',
+      url: STRAVA_OAUTH_TOKEN_URL,
+      data: {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        code: req.query.code,
+        grant_type: 'authorization_code',
+      }
+    }, { bypassPause: true });
+
+    const athleteId = String(data.athlete?.id || '');
+    if (!athleteId) throw new Error('token response had no athlete');
+
+    // Members: keep stored tokens in step with this grant (the old refresh token may be spent)
+    const scopes = parseGrantedScopes(req.query.scope);
+    if (hasActivityAccess(scopes) && await getAthleteAuth(athleteId)) {
+      await upsertAthleteRow({
+        athlete_id: data.athlete.id,
+        athlete_name: `${data.athlete.firstname || ''} ${data.athlete.lastname || ''}`.trim(),
+        access_token: data.access_token,
+        refresh_token: data.refresh_token,
+        expires_at: data.expires_at,
+        scope: scopes.join(',')
+      });
+    }
+
+    res.cookie(ATHLETE_SESSION_COOKIE, signToken('athlete-session', ATHLETE_SESSION_TTL_MS, { sub: athleteId }), {
+      httpOnly: true,
+      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+      sameSite: 'lax',
+      path: '/me',
+      maxAge: ATHLETE_SESSION_TTL_MS
+    });
+    res.redirect('/me');
+  } catch (err) {
+    console.error('[ME LOGIN ERROR]', err?.response?.data || err.message);
+    res.redirect('/me/login?error=' + encodeURIComponent('Strava login failed'));
+  }
+});
+
+app.post('/me/logout', (_req, res) => {
+  res.clearCookie(ATHLETE_SESSION_COOKIE, { path: '/me' });
+  res.redirect('/leaderboard');
+});
+
+app.get('/me', requireAthlete, async (req, res) => {
+  try {
+    const data = await collectAthleteData(req.athleteId);
+    const name = data.athletes.rows.length ? data.athletes.rows[0][data.athletes.headers.indexOf('athlete_name')] : '';
+    const counts = Object.keys(athleteExportTabs()).map(tab => `
+      <tr><td>${escapeHtml(tab)}</td><td>${data[tab].rows.length} row(s)</td>
+        <td><a href="/me/export.csv?tab=${encodeURIComponent(tab)}">CSV</a></td></tr>`).join('');
+    const body = `
+  <p>Logged in as ${escapeHtml(name || 'Strava athlete')} (${escapeHtml(req.athleteId)}).</p>
+
+  <h2>Download</h2>
+  <p><a href="/me/export.json">Everything as JSON</a></p>
+  <table>${counts}
+  </table>
+
+  <h2>Delete</h2>
+  <div class="danger">
+    <p>This permanently removes every row above, and disconnects SUC Leaderboard from your Strava account.
+    You can rejoin later, but your history here won't come back.</p>
+    <form method="post" action="/me/delete">
+      <label>Type <strong>DELETE</strong> to confirm: <input name="confirm" autocomplete="off" required></label>
+      <button type="submit">Delete my data</button>
+    </form>
+  </div>
+
+  <form method="post" action="/me/logout"><p><button type="submit">Log out</button></p></form>
+  <p><a href="/leaderboard/privacy">Privacy Policy</a></p>`;
+    res.status(200).send(renderMePage('Your data', body));
+  } catch (err) {
+    console.error('[ME ERROR]', err?.response?.data || err.message);
+    res.status(500).send('Your data is unavailable right now.');
+  }
+});
+
+app.get('/me/export.json', requireAthlete, async (req, res) => {
+  try {
+    const data = await collectAthleteData(req.athleteId);
+    const out = { athlete_id: req.athleteId, exported_at: new Date().toISOString() };
+    for (const [tab, { headers, rows }] of Object.entries(data)) out[tab] = rows.map(r => toRecord(headers, r));
+    res.set('Content-Disposition', `attachment; filename="suc-data-${req.athleteId}.json"`).status(200).json(out);
+  } catch (err) {
+    console.error('[ME EXPORT ERROR]', err?.response?.data || err.message);
+    res.status(500).send('Export failed, please try again.');
+  }
+});
+
+app.get('/me/export.csv', requireAthlete, async (req, res) => {
+  const tab = String(req.query.tab || 'activities');
+  const tabs = Object.keys(athleteExportTabs());
+  if (!tabs.includes(tab)) return res.status(400).send(`tab must be one of: ${tabs.join(', ')}`);
+  try {
+    const { headers, rows } = (await collectAthleteData(req.athleteId))[tab];
+    res.set('Content-Type', 'text/csv; charset=utf-8')
+      .set('Content-Disposition', `attachment; filename="suc-${tab}-${req.athleteId}.csv"`)
+      .status(200).send(toCsv(headers, rows));
+  } catch (err) {
+    console.error('[ME EXPORT ERROR]', err?.response?.data || err.message);
+    res.status(500).send('Export failed, please try again.');
+  }
+});
+
+app.post('/me/delete', requireAthlete, async (req, res) => {
+  if (String(req.body?.confirm || '').trim() !== 'DELETE') {
+    return res.status(400).send(renderMePage('Your data', '<p class="error">Type DELETE to confirm.</p><p><a href="/me">Back</a></p>'));
+  }
+  try {
+    const detail = await deleteAthleteData(req.athleteId);
+    res.clearCookie(ATHLETE_SESSION_COOKIE, { path: '/me' });
+    res.status(200).send(renderMePage('Your data was deleted', `
+  <p>We removed everything SUC Leaderboard held about you (${escapeHtml(detail)}) and disconnected your Strava account.</p>
+  <p><a href="/leaderboard">Back to the leaderboard</a></p>`));
+  } catch (err) {
+    console.error('[ME DELETE ERROR]', err?.response?.data || err.message);
+    res.status(500).send(renderMePage('Your data', '<p class="error">Deletion failed, nothing was confirmed. Please try again.</p><p><a href="/me">Back</a></p>'));
+  }
+});
+
+// ================================
+// Admin area (auth + diagnostics + tools)
+// ================================
+// Everything under /admin needs either
+//   - Authorization: Bearer <ADMIN_TOKEN> (scripts/curl), or
+//   - a signed session cookie from /admin/login: the ADMIN_TOKEN typed into the form, or
+//     "Log in with Strava" as one of the ADMIN_ATHLETE_IDS.
+// With neither configured the area stays locked. The cookie is SameSite=Lax, so other
+// sites can't POST to admin tools with it.
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+const ADMIN_ATHLETE_IDS = new Set((process.env.ADMIN_ATHLETE_IDS || '').split(',').map(v => v.trim()).filter(Boolean));
+const ADMIN_SESSION_COOKIE = 'suc_admin';
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function adminTokenMatches(provided) {
+  if (!ADMIN_TOKEN || !provided) return false;
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Who is calling ('token' or 'athlete:<id>'), or null
+function adminIdentity(req) {
+  const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer && adminTokenMatches(bearer[1].trim())) return 'token';
+  const session = verifySignedToken(readCookie(req, ADMIN_SESSION_COOKIE), 'admin-session');
+  return session ? session.sub : null;
+}
+
+function startAdminSession(req, res, sub) {
+  res.cookie(ADMIN_SESSION_COOKIE, signToken('admin-session', ADMIN_SESSION_TTL_MS, { sub }), {
+    httpOnly: true,
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    sameSite: 'lax',
+    path: '/admin',
+    maxAge: ADMIN_SESSION_TTL_MS
+  });
+  console.log('[ADMIN] session started for', sub);
+}
+
+function requireAdmin(req, res, next) {
+  const who = adminIdentity(req);
+  if (who) {
+    req.admin = who;
+    return next();
+  }
+  if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+    return res.redirect('/admin/login');
+  }
+  return res.status(401).json({ error: 'admin authentication required' });
+}
+
+function adminCallbackUrl() {
+  return process.env.REDIRECT_URI ? new URL('/admin/callback', process.env.REDIRECT_URI).toString() : '';
+}
+
+// Shared page shell for the admin screens
+function renderAdminPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)} — SUC Admin</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <link href="https://fonts.googleapis.com/css2?family=Roboto:wght@400;700&display=swap" rel="stylesheet">
+  <style>
+    body {
+      font-family: 'Roboto', system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+      margin: 32px auto;
+      max-width: 860px;
+      padding: 0 16px;
+      color: #222;
+    }
+    h1 { font-size: 26px; }
+    h2 { font-size: 18px; margin-top: 28px; }
+    pre {
+      background: #f6f6f6;
+      padding: 12px;
+      overflow-x: auto;
+      font-size: 13px;
+    }
+    form { display: inline-block; margin: 4px 8px 4px 0; }
+    input { padding: 6px; }
+    button { padding: 6px 12px; cursor: pointer; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+// ---------- Login / logout ----------
+app.get('/admin/login', (req, res) => {
+  const error = req.query.error ? `<p class="error">${escapeHtml(req.query.error)}</p>` : '';
+  const tokenForm = ADMIN_TOKEN ? `
+  <form method="post" action="/admin/login">
+    <input type="password" name="token" placeholder="Admin token" autocomplete="current-password" required>
+    <button type="submit">Log in</button>
+  </form>` : '';
+  const stravaLogin = ADMIN_ATHLETE_IDS.size ? `
+  <p><a href="/admin/login/strava">Log in with Strava</a></p>` : '';
+  const locked = (!ADMIN_TOKEN && !ADMIN_ATHLETE_IDS.size)
+    ? '<p class="error">Admin access is not configured (set ADMIN_TOKEN or ADMIN_ATHLETE_IDS).</p>' : '';
+  res.status(200).send(renderAdminPage('Admin login', error + locked + tokenForm + stravaLogin));
+});
+
+app.post('/admin/login', (req, res) => {
+  if (!adminTokenMatches(req.body?.token)) {
+    console.warn('[ADMIN] bad token login from', req.ip);
+    return res.redirect('/admin/login?error=' + encodeURIComponent('Wrong token'));
+  }
+  startAdminSession(req, res, 'token');
+  res.redirect('/admin');
+});
+
+app.get('/admin/login/strava', (_req, res) => {
+  if (!ADMIN_ATHLETE_IDS.size) return res.redirect('/admin/login');
+  // Same scopes as /join: re-authorizing with fewer would cut a member-admin's own access
+  res.redirect(buildAuthorizeUrl({ purpose: 'admin', redirectUri: adminCallbackUrl() }));
+});
+
+app.get('/admin/callback', async (req, res) => {
+  if (!req.query.code || !verifyOAuthState(req.query.state, 'admin')) {
+    return res.redirect('/admin/login?error=' + encodeURIComponent('Strava login failed or expired'));
+  }
+  try {
+    const { data } = await stravaRequest({
+      method: 'post',
+      url: STRAVA_OAUTH_TOKEN_URL,
+      data: {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        code: req.query.code,
+        grant_type: 'authorization_code',
+      }
+    }, { bypassPause: true });
+
+    const athleteId = String(data.athlete?.id || '');
+    if (!ADMIN_ATHLETE_IDS.has(athleteId)) {
+      console.warn('[ADMIN] Strava login refused for athlete', athleteId);
+      return res.redirect('/admin/login?error=' + encodeURIComponent('That Strava account is not an admin'));
+    }
+
+    // Admins who are also members: keep their stored tokens in step with this grant
+    const scopes = parseGrantedScopes(req.query.scope);
+    if (hasActivityAccess(scopes) && await getAthleteAuth(athleteId)) {
+      await upsertAthleteRow({
+        athlete_id: data.athlete.id,
+        athlete_name: `${data.athlete.firstname || ''} ${data.athlete.lastname || ''}`.trim(),
+        access_token: data.access_token,
+        refresh_token: data.refresh_token,
+        expires_at: data.expires_at,
+        scope: scopes.join(',')
+      });
+    }
+
+    startAdminSession(req, res, `athlete:${athleteId}`);
+    res.redirect('/admin');
+  } catch (err) {
+    console.error('[ADMIN LOGIN ERROR]', err?.response?.data || err.message);
+    res.redirect('/admin/login?error=' + encodeURIComponent('Strava login failed'));
+  }
+});
+
+app.post('/admin/logout', (_req, res) => {
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/admin' });
+  res.redirect('/admin/login');
+});
+
+// ---------- Everything below requires admin ----------
+const admin = express.Router();
+admin.use(requireAdmin);
+app.use('/admin', admin);
+
+async function collectDiagnostics() {
+  const diag = {
+    generated_at: new Date().toISOString(),
+    storage: { backend: STORAGE_BACKEND, ok: null, latency_ms: null, error: null },
+    queue: {
+      depth: inboxQ.length,
+      due_now: inboxQ.filter(e => !e.next_attempt_at || e.next_attempt_at <= Date.now()).length,
+      waiting_retry: inboxQ.filter(e => e.attempts).length,
+      busy: queueBusy,
+      oldest_received_at: inboxQ.length ? inboxQ[0].received_at : null,
+      last_webhook_at: lastWebhookAt,
+      last_event_processed_at: lastEventProcessedAt,
+      duplicates_ignored: queueStats.duplicates,
+      events_coalesced: queueStats.coalesced
+    },
+    strava: stravaRateSnapshot(),
+    subscription: pushSubscriptionStatus,
+    athletes: []
+  };
+
+  // Sheets (or local storage) connectivity + per-athlete token expiry
+  const started = Date.now();
+  try {
+    const rows = await readTabRecords('athletes');
+    diag.storage.ok = true;
+    const now = Math.floor(Date.now() / 1000);
+    diag.athletes = rows.filter(r => r.athlete_id).map(r => {
+      const expiresAt = Number(r.expires_at || 0);
+      return {
+        athlete_id: String(r.athlete_id),
+        athlete_name: r.athlete_name || '',
+        scope: r.scope || '',
+        tokens_encrypted: isEncryptedToken(r.access_token) && isEncryptedToken(r.refresh_token),
+        expires_at: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+        access_token_expired: !expiresAt || expiresAt <= now
+      };
+    });
+  } catch (e) {
+    diag.storage.ok = false;
+    diag.storage.error = describeError(e);
+  }
+  diag.storage.latency_ms = Date.now() - started;
+  diag.athlete_count = diag.athletes.length;
+
+  try {
+    diag.schema = await schemaStatus();
+  } catch (e) {
+    diag.schema = { error: describeError(e) };
+  }
+  try {
+    diag.notifications = await notificationStatus();
+  } catch (e) {
+    diag.notifications = { error: describeError(e) };
+  }
+  return diag;
+}
+
+admin.get('/', async (req, res) => {
+  const diag = await collectDiagnostics();
+  const body = `
+  <p>Signed in as <strong>${escapeHtml(req.admin)}</strong>
+    <form method="post" action="/admin/logout"><button type="submit">Log out</button></form></p>
+
+  <h2>Diagnostics</h2>
+  <pre>${escapeHtml(JSON.stringify(diag, null, 2))}</pre>
+
+  <h2>Tools</h2>
+  <form method="post" action="/admin/sheets-ping"><button type="submit">Sheets ping</button></form>
+  <form method="post" action="/admin/reconcile"><button type="submit">Reconcile now</button></form>
+  <form method="post" action="/admin/dead-letter/requeue"><button type="submit">Requeue all dead letters</button></form>
+  <form method="post" action="/admin/challenges/recompute"><button type="submit">Recompute challenge scores</button></form>
+  <form method="post" action="/admin/summaries/rebuild"><button type="submit">Rebuild weekly/monthly summaries</button></form>
+  <form method="post" action="/admin/segments/records"><button type="submit">Re-check course records</button></form>
+  <form method="post" action="/admin/efforts/sweep"><button type="submit">Rescan unscanned efforts</button></form>
+  <form method="post" action="/admin/backfill">
+    <input name="athlete_id" placeholder="athlete_id" required>
+    <input name="after" placeholder="YYYY-MM-DD (optional)">
+    <button type="submit">Backfill</button>
+  </form>
+  <form method="post" action="/admin/replay">
+    <input name="since" placeholder="since (ISO or YYYY-MM-DD)">
+    <input name="until" placeholder="until (exclusive)">
+    <input name="owner_id" placeholder="owner_id">
+    <input name="object_id" placeholder="object_id">
+    <select name="aspect_type"><option value="">any aspect</option><option>create</option><option>update</option><option>delete</option></select>
+    <label><input type="checkbox" name="dry_run" value="1" checked> dry run</label>
+    <button type="submit">Replay inbox</button>
+  </form>
+
+  <h2>Notifications</h2>
+  <form method="post" action="/admin/notifications/test">
+    <input name="channel" placeholder="channel id" required>
+    <button type="submit">Send test</button>
+  </form>
+  <form method="post" action="/admin/notifications/mute">
+    <input name="channel" placeholder="channel id" required>
+    <input name="until" placeholder="hours or ISO time (blank = until unmuted)">
+    <button type="submit">Mute</button>
+  </form>
+  <form method="post" action="/admin/notifications/unmute">
+    <input name="channel" placeholder="channel id" required>
+    <button type="submit">Unmute</button>
+  </form>
+  <form method="post" action="/admin/notifications/weekly">
+    <input name="week" placeholder="week_start YYYY-MM-DD (default: last week)">
+    <button type="submit">Send weekly summary</button>
+  </form>
+
+  <h2>Strava push subscription</h2>
+  <form method="post" action="/admin/subscription"><button type="submit">Create</button></form>
+  <form method="post" action="/admin/subscription/delete"><button type="submit">Delete</button></form>
+  <p><a href="/admin/subscription">View</a> · <a href="/admin/strava-usage">Rate limits</a> · <a href="/admin/env">Env</a> · <a href="/admin/diagnostics">Diagnostics JSON</a></p>`;
+  res.status(200).send(renderAdminPage('SUC Admin', body));
+});
+
+admin.get('/diagnostics', async (_req, res) => {
+  res.status(200).json(await collectDiagnostics());
+});
+
+admin.post('/sheets-ping', async (_req, res) => {
+  try {
+    await appendToSheet('inbox', [[ new Date().toISOString(), 'diag', 'ping', '', '', 'hello from Render' ]]);
+    res.status(200).send('OK: wrote a test row to inbox');
+  } catch (e) {
+    console.error('[ADMIN SHEETS PING ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + (e?.response?.data?.error?.message || e.message));
+  }
+});
+
+// Requeue dead-lettered events: ?event_id=<id> for one, omit for everything not yet requeued
+admin.post('/dead-letter/requeue', async (req, res) => {
+  try {
+    const count = await requeueDeadLetters(req.query.event_id || req.body?.event_id || null);
+    res.status(200).json({ requeued: count });
+  } catch (e) {
+    console.error('[ADMIN REQUEUE ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + (e?.response?.data?.error?.message || e.message));
+  }
+});
+
+// Replay inbox events. Filters as query or form fields (since, until, owner_id, object_id,
+// object_type, aspect_type); dry_run=1 reports planned changes instead of queueing.
+admin.post('/replay', async (req, res) => {
+  const params = { ...(req.body || {}), ...req.query };
+  const dry = /^(1|true|yes|on)$/i.test(String(params.dry_run || ''));
+  try {
+    res.status(200).json(await replayInboxEvents(params, { dryRun: dry }));
+  } catch (e) {
+    if (e instanceof RangeError) return res.status(400).send(e.message);
+    console.error('[ADMIN REPLAY ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Backfill one athlete's history: ?athlete_id=<id>[&after=YYYY-MM-DD]. Runs in the background.
+admin.post('/backfill', (req, res) => {
+  const athleteId = req.query.athlete_id || req.body?.athlete_id;
+  const after = req.query.after || req.body?.after;
+  if (!athleteId) return res.status(400).send('Missing athlete_id');
+  try {
+    backfillAfterEpoch(after); // validate before we say yes
+  } catch (e) {
+    return res.status(400).send(e.message);
+  }
+  backfillAthlete(athleteId, { after }).catch(err => console.error('[BACKFILL ERROR]', err?.response?.data || err.message || err));
+  res.status(202).json({ started: true, athlete_id: String(athleteId) });
+});
+
+// Start reconciliation for everyone (or ?athlete_id=<id>) in the background, like
+// /backfill: near the Strava limit it waits for the window to reset, which can be hours.
+// Each athlete's summary lands in the reconcile_log tab.
+admin.post('/reconcile', (req, res) => {
+  const athleteId = req.query.athlete_id || req.body?.athlete_id;
+  if (!athleteId && reconcileRunning) return res.status(409).send('Reconciliation already running');
+  const run = athleteId ? reconcileAthlete(String(athleteId)) : reconcileAll();
+  run.catch(err => console.error('[RECONCILE ERROR]', err?.response?.data || err.message || err));
+  res.status(202).json({ started: true, athlete_id: athleteId ? String(athleteId) : null });
+});
+
+// Queue a rescan for activities whose efforts were never scanned (same as the timer)
+admin.post('/efforts/sweep', async (_req, res) => {
+  try {
+    res.status(200).json(await sweepUnscannedActivities());
+  } catch (e) {
+    console.error('[ADMIN SWEEP ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Rebuild weekly_summary / monthly_summary from the whole activities tab
+admin.post('/summaries/rebuild', async (_req, res) => {
+  try {
+    res.status(200).json(await rebuildSummaries());
+  } catch (e) {
+    console.error('[ADMIN SUMMARY ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Rebuild challenge_scores from scratch after challenge rules change
+admin.post('/challenges/recompute', async (_req, res) => {
+  try {
+    res.status(200).json(await recomputeChallengeScores());
+  } catch (e) {
+    console.error('[ADMIN CHALLENGES ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Notification channels: test message, mute (?until=<hours|ISO>), unmute, weekly summary now
+admin.post('/notifications/:action(test|mute|unmute|weekly)', async (req, res) => {
+  const params = { ...(req.body || {}), ...req.query };
+  try {
+    let result;
+    if (req.params.action === 'test') result = sendTestNotification(params.channel);
+    else if (req.params.action === 'mute') result = await muteChannel(params.channel, { until: params.until || '', by: req.admin });
+    else if (req.params.action === 'unmute') result = await unmuteChannel(params.channel);
+    else result = await sendWeeklySummary(params.week || undefined);
+    res.status(200).json(result);
+  } catch (e) {
+    if (e instanceof RangeError) return res.status(400).send(e.message);
+    console.error('[ADMIN NOTIFY ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Watch a segment: { segment_id, segment_name? }
+admin.post('/segments', async (req, res) => {
+  try {
+    const body = req.body || {};
+    res.status(200).json(await watchSegment(body.segment_id, body.segment_name));
+  } catch (e) {
+    if (e instanceof RangeError) return res.status(400).send(e.message);
+    console.error('[ADMIN SEGMENTS ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Re-check every watched segment's course record
+admin.post('/segments/records', async (_req, res) => {
+  try {
+    const changes = await refreshCourseRecords((await loadWatchedSegments({ fresh: true })).keys());
+    res.status(200).json({ changes: changes.length });
+  } catch (e) {
+    console.error('[ADMIN SEGMENTS ERROR]', e?.response?.data || e.message);
+    res.status(500).send('ERROR: ' + describeError(e));
+  }
+});
+
+// Push subscription: GET = view (+ re-check), POST = create, DELETE = delete (?id optional)
+admin.get('/subscription', async (_req, res) => {
+  res.status(200).json(await checkPushSubscription());
+});
+
+admin.post('/subscription', async (_req, res) => {
+  try {
+    const created = await createPushSubscription();
+    await checkPushSubscription();
+    res.status(201).json(created);
+  } catch (e) {
+    console.error('[ADMIN SUBSCRIPTION ERROR]', e?.response?.data || e.message);
+    res.status(e?.response?.status || 500).send('ERROR: ' + describeError(e));
+  }
+});
+
+async function handleSubscriptionDelete(req, res) {
+  try {
+    const deleted = await deletePushSubscription(req.query.id || req.body?.id);
+    await checkPushSubscription();
+    res.status(200).json({ deleted });
+  } catch (e) {
+    console.error('[ADMIN SUBSCRIPTION ERROR]', e?.response?.data || e.message);
+    res.status(e?.response?.status || 500).send('ERROR: ' + describeError(e));
+  }
+}
+admin.delete('/subscription', handleSubscriptionDelete);
+admin.post('/subscription/delete', handleSubscriptionDelete); // for the HTML form
+
+admin.get('/strava-usage', (_req, res) => {
+  res.status(200).json(stravaRateSnapshot());
+});
+
+admin.get('/env', (_req, res) => {
+  const mask = (s) => s ? (s.slice(0,6) + '...' + s.slice(-6)) : '(missing)';
+  res.status(200).json({
+    STRAVA_CLIENT_ID: process.env.STRAVA_CLIENT_ID || '(missing)',
+    STRAVA_VERIFY_TOKEN_len: (process.env.STRAVA_VERIFY_TOKEN || '').trim().length,
+    GOOGLE_PRIVATE_KEY_len: (process.env.GOOGLE_PRIVATE_KEY || '').trim().length,
+    GOOGLE_SHEET_ID_masked: mask(process.env.GOOGLE_SHEET_ID || ''),
+    GOOGLE_SERVICE_EMAIL: process.env.GOOGLE_SERVICE_EMAIL || '(missing)',
+    REDIRECT_URI: process.env.REDIRECT_URI || '(missing)',
+    STORAGE_BACKEND,
+    STRAVA_BASE_URL,
+    GOOGLE_SHEETS_BASE_URL: GOOGLE_SHEETS_BASE_URL || '(default)',
+    TOKEN_ENCRYPTION_KEY_set: !!getTokenKeys().current,
+    ADMIN_TOKEN_set: !!ADMIN_TOKEN,
+    ADMIN_ATHLETE_IDS: [...ADMIN_ATHLETE_IDS]
+  });
+});
+
+// ===== Start server =====
+const PORT = process.env.PORT || 3000;
+let server = null;
+if (!CLI_COMMAND) {
+  // .then() first, so the check runs once the whole module (token section included) has loaded
+  Promise.resolve().then(tokenEncryptionStartupProblem).then((problem) => {
+    if (problem) {
+      console.error('[STARTUP] refusing to start:', problem);
+      process.exit(1);
+    }
+    server = app.listen(PORT, () => {
+      console.log("✅ Server running on port " + PORT);
+      checkPushSubscription().catch(err => console.error('[SUBSCRIPTION ERROR]', describeError(err)));
+    });
+  }, (err) => {
+    console.error('[STARTUP] could not check token encryption:', describeError(err));
+    process.exit(1);
+  });
+}
+
+// ===== Graceful shutdown (Render sends SIGTERM, then SIGKILL ~30s later) =====
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS || 25000);
+
+process.on('SIGTERM', async () => {
+  if (shuttingDown || !server) return;
+  shuttingDown = true;
+  console.log('[SHUTDOWN] SIGTERM received, draining queue:', inboxQ.length, 'pending');
+  server.close();
+
+  // Keep draining until empty or out of grace time; whatever is left stays in the journal
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  while (Date.now() < deadline && (queueBusy || nextDueEvent({ stravaPaused: Boolean(stravaPausedUntil()) }))) {
+    await drainQueue();
+    await new Promise(r => setTimeout(r, 250));
+  }
+  // Send what the drained events announced; anything unsent stays in the outbox journal
+  if (Date.now() < deadline) await drainNotifications();
+  console.log('[SHUTDOWN] exiting with', inboxQ.length, 'event(s) left in journal and', notifyOutbox.length, 'notification(s) in the outbox');
+  process.exit(0);
+});
+
+// ================================
+// Storage backend (pluggable tables)
+// ================================
+// All persistence is a set of named tabs with a header row, addressed the way a sheet
+// is: row 1 holds the headers, data rows are 1-based from row 2. An adapter implements
+//   ensureTab(tab, headers)       getHeaders(tab)          readRows(tab) -> data rows
+//     (ensureTab creates the tab, or appends headers missing from the end of its header row)
+//   appendRows(tab, rows)         updateCells(tab, rowIndex1, colIndex0, values)
+//   deleteRows(tab, rowIndices1)  clearRows(tab) -> drop every data row, keep the header
+//   addHeaders(tab, names)        -> append header cells after the last existing one
+//   moveColumn(tab, from0, to0)   -> move a column (header + data) to another position
+//   withBatch(fn) -> group fn's writes into as few calls as possible (dropped if fn throws)
+//   outsideBatch(fn) -> run fn's writes immediately, even inside a batch
+// addHeaders/moveColumn are for schema migrations and always apply immediately.
+// STORAGE_BACKEND=sheets (default) talks to Google Sheets; STORAGE_BACKEND=json keeps
+// every tab in one local file (STORAGE_JSON_PATH) for offline development and testing.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+const STORAGE_JSON_PATH = process.env.STORAGE_JSON_PATH || path.join(__dirname, 'data', 'storage.json');
+let tablesAdapter = null;
+
+function getTables() {
+  const plan = dryRunContext.getStore();
+  if (plan) return plan.tables;
+  if (tablesAdapter) return tablesAdapter;
+  if (STORAGE_BACKEND === 'sheets') tablesAdapter = createSheetsTables();
+  else if (STORAGE_BACKEND === 'json') tablesAdapter = createJsonTables(STORAGE_JSON_PATH);
+  else throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected sheets or json)`);
+  console.log('[STORAGE] using', STORAGE_BACKEND, 'backend');
+  return tablesAdapter;
+}
+
+// ---------- Google Sheets adapter ----------
+// One authorized JWT client is shared by every call (googleapis refreshes its access
+// token on its own), and tab ids + header rows are cached for SHEETS_META_TTL_MS so a
+// hand-edited sheet is picked up eventually without a restart.
+// GOOGLE_SHEETS_BASE_URL points the API at another server (the offline stand-in under
+// test/); with GOOGLE_SERVICE_EMAIL unset as well, calls go out unauthenticated.
+const SHEETS_META_TTL_MS = Number(process.env.SHEETS_META_TTL_MS || 10 * 60 * 1000);
+const GOOGLE_SHEETS_BASE_URL = (process.env.GOOGLE_SHEETS_BASE_URL || '').trim();
+let sheetsClientPromise = null;
+
+function getSheetsClient() {
+  if (!sheetsClientPromise) {
+    sheetsClientPromise = (async () => {
+      const sheets = google.sheets(GOOGLE_SHEETS_BASE_URL ? { version: 'v4', rootUrl: GOOGLE_SHEETS_BASE_URL } : 'v4');
+      if (GOOGLE_SHEETS_BASE_URL && !process.env.GOOGLE_SERVICE_EMAIL) {
+        return { sheets, jwt: undefined, spreadsheetId: process.env.GOOGLE_SHEET_ID };
+      }
+
+      // Handle quotes + \n in private key from env
+      let privateKey = process.env.GOOGLE_PRIVATE_KEY || '';
+      if (privateKey.startsWith('"') && privateKey.endsWith('"')) privateKey = privateKey.slice(1, -1);
+      privateKey = privateKey.replace(/\\n/g, '\n');
+
+      const jwt = new google.auth.JWT({
+        email: process.env.GOOGLE_SERVICE_EMAIL,
+        key: privateKey,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+      });
+      await sheetsCall('authorize', () => jwt.authorize());
+
+      return { sheets, jwt, spreadsheetId: process.env.GOOGLE_SHEET_ID };
+    })().catch((err) => {
+      sheetsClientPromise = null; // don't cache a failed login
+      throw err;
+    });
+  }
+  return sheetsClientPromise;
+}
+
+// Every Google API round trip is timed under suc_sheets_request_* by op
+function sheetsCall(op, fn) {
+  return timedCall('suc_sheets_request', { op }, fn, (err) => ({ status: err.response?.status || err.code || 'error' }));
+}
+
+// What values.get answers for a tab that doesn't exist (yet)
+function isMissingTabError(err) {
+  const message = err.response?.data?.error?.message || err.message || '';
+  return err.response?.status === 400 && /unable to parse range/i.test(message);
+}
+
+function colToA1(n) {
+  let s = '';
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    s = String.fromCharCode(65 + m) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// JS value -> CellData, matching what valueInputOption RAW would have stored
+function toCellData(v) {
+  if (v === '' || v === null || typeof v === 'undefined') return {};
+  if (typeof v === 'number' && Number.isFinite(v)) return { userEnteredValue: { numberValue: v } };
+  if (typeof v === 'boolean') return { userEnteredValue: { boolValue: v } };
+  return { userEnteredValue: { stringValue: String(v) } };
+}
+
+// Writes made inside withBatch(fn) are queued as spreadsheets.batchUpdate requests and
+// sent in a single call when fn finishes; if fn throws, whatever is still queued is
+// dropped. Reading a tab that has queued writes flushes first, so callers always read
+// their own writes. The batch is scoped with
+// AsyncLocalStorage, so an OAuth join handled mid-event never lands in the event's batch.
+function createSheetsTables() {
+  const batchContext = new AsyncLocalStorage();
+  const headerCache = new Map(); // tab -> { headers, at }
+  let tabIds = null;             // { map: Map(title -> sheetId), at }
+
+  async function getTabIds(force = false) {
+    if (!force && tabIds && Date.now() - tabIds.at < SHEETS_META_TTL_MS) return tabIds.map;
+    const { sheets, jwt, spreadsheetId } = await getSheetsClient();
+    const meta = await sheetsCall('get', () => sheets.spreadsheets.get({ auth: jwt, spreadsheetId }));
+    const map = new Map((meta.data.sheets || []).map(s => [s.properties.title, s.properties.sheetId]));
+    tabIds = { map, at: Date.now() };
+    return map;
+  }
+
+  async function sheetIdFor(tabName) {
+    let id = (await getTabIds()).get(tabName);
+    if (typeof id === 'undefined') id = (await getTabIds(true)).get(tabName);
+    if (typeof id === 'undefined') throw new Error(`Sheet tab "${tabName}" does not exist`);
+    return id;
+  }
+
+  async function sendRequests(requests) {
+    const { sheets, jwt, spreadsheetId } = await getSheetsClient();
+    await sheetsCall('batch_update', () => sheets.spreadsheets.batchUpdate({ auth: jwt, spreadsheetId, requestBody: { requests } }));
+  }
+
+  async function flush(batch) {
+    if (!batch.requests.length) return;
+    const requests = batch.requests;
+    batch.requests = [];
+    batch.dirty.clear();
+    await sendRequests(requests);
+    console.log(`[SHEETS] batchUpdate sent ${requests.length} request(s)`);
+  }
+
+  async function write(tabName, requests) {
+    const batch = batchContext.getStore();
+    if (!batch) return sendRequests(requests);
+    batch.requests.push(...requests);
+    batch.dirty.add(tabName);
+    batch.reads.delete(tabName);
+  }
+
+  return {
+    // For writes that must land even if the surrounding event fails (rotated tokens)
+    async outsideBatch(fn) {
+      const batch = batchContext.getStore();
+      const result = await batchContext.exit(fn);
+      if (batch) batch.reads.clear(); // fn may have changed rows the batch had read
+      return result;
+    },
+
+    async withBatch(fn) {
+      if (batchContext.getStore()) return fn(); // nested: join the outer batch
+      const batch = { requests: [], dirty: new Set(), reads: new Map() };
+      return batchContext.run(batch, async () => {
+        let result;
+        try {
+          result = await fn();
+        } catch (err) {
+          if (batch.requests.length) console.warn(`[SHEETS] batch aborted, dropped ${batch.requests.length} queued request(s)`);
+          batch.requests = [];
+          throw err;
+        }
+        await flush(batch);
+        return result;
+      });
+    },
+
+    async ensureTab(tabName, headers) {
+      const ids = await getTabIds();
+      if (ids.has(tabName) || (await getTabIds(true)).has(tabName)) {
+        const extra = missingTrailingHeaders(await this.getHeaders(tabName), headers);
+        if (extra.length) await this.addHeaders(tabName, extra);
+        return;
+      }
+
+      const { sheets, jwt, spreadsheetId } = await getSheetsClient();
+      const resp = await sheetsCall('batch_update', () => sheets.spreadsheets.batchUpdate({
+        auth: jwt,
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: tabName } } }] }
+      }));
+      await sheetsCall('values_update', () => sheets.spreadsheets.values.update({
+        auth: jwt,
+        spreadsheetId,
+        range: `${tabName}!A1:${colToA1(headers.length)}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [headers] }
+      }));
+      tabIds.map.set(tabName, resp.data.replies[0].addSheet.properties.sheetId);
+      headerCache.set(tabName, { headers: [...headers], at: Date.now() });
+    },
+
+    async addHeaders(tabName, names) {
+      if (!names.length) return;
+      headerCache.delete(tabName);
+      const current = await this.getHeaders(tabName);
+      const { sheets, jwt, spreadsheetId } = await getSheetsClient();
+      await sheetsCall('values_update', () => sheets.spreadsheets.values.update({
+        auth: jwt,
+        spreadsheetId,
+        range: `${tabName}!${colToA1(current.length + 1)}1:${colToA1(current.length + names.length)}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [names] }
+      }));
+      headerCache.set(tabName, { headers: [...current, ...names], at: Date.now() });
+      console.log(`[SHEETS] added header(s) ${names.join(', ')} to ${tabName}`);
+    },
+
+    // moveDimension carries values, formats and formulas along, unlike a rewrite
+    async moveColumn(tabName, fromIndex0, toIndex0) {
+      if (fromIndex0 === toIndex0) return;
+      const sheetId = await sheetIdFor(tabName);
+      await sendRequests([{
+        moveDimension: {
+          source: { sheetId, dimension: 'COLUMNS', startIndex: fromIndex0, endIndex: fromIndex0 + 1 },
+          destinationIndex: toIndex0 > fromIndex0 ? toIndex0 + 1 : toIndex0
+        }
+      }]);
+      headerCache.delete(tabName);
+    },
+
+    async getHeaders(tabName) {
+      const cached = headerCache.get(tabName);
+      if (cached && Date.now() - cached.at < SHEETS_META_TTL_MS) return [...cached.headers];
+
+      const { sheets, jwt, spreadsheetId } = await getSheetsClient();
+      const resp = await sheetsCall('values_get', () => sheets.spreadsheets.values.get({
+        auth: jwt,
+        spreadsheetId,
+        range: `${tabName}!1:1`
+      }));
+      const headers = (resp.data.values && resp.data.values[0]) || [];
+      headerCache.set(tabName, { headers, at: Date.now() });
+      return [...headers];
+    },
+
+    // Read a wide range (A:ZZ) so callers get entire rows; a missing tab reads as empty,
+    // any other error throws
+    async readRows(tabName) {
+      const batch = batchContext.getStore();
+      if (batch) {
+        if (batch.dirty.has(tabName)) await flush(batch);
+        if (batch.reads.has(tabName)) return batch.reads.get(tabName).map(r => [...r]);
+      }
+
+      const { sheets, jwt, spreadsheetId } = await getSheetsClient();
+      const resp = await sheetsCall('values_get', () => sheets.spreadsheets.values.get({
+        auth: jwt,
+        spreadsheetId,
+        range: `${tabName}!A2:ZZ`, // skip header row
+        valueRenderOption: 'FORMATTED_VALUE', // returns strings as displayed (might be scientific)
+        dateTimeRenderOption: 'FORMATTED_STRING'
+      })).catch((err) => {
+        // Any other failure must reach the caller: an empty read would let a delete or a
+        // purge report success without touching anything
+        if (isMissingTabError(err)) return { data: { values: [] } };
+        throw err;
+      });
+      const rows = resp.data.values || [];
+
+      if (batch) batch.reads.set(tabName, rows.map(r => [...r]));
+      return rows;
+    },
+
+    async appendRows(tabName, rows) {
+      const sheetId = await sheetIdFor(tabName);
+      await write(tabName, [{
+        appendCells: {
+          sheetId,
+          rows: rows.map(r => ({ values: r.map(toCellData) })),
+          fields: 'userEnteredValue'
+        }
+      }]);
+    },
+
+    async updateCells(tabName, rowIndex1, colIndex0, values) {
+      const sheetId = await sheetIdFor(tabName);
+      await write(tabName, [{
+        updateCells: {
+          start: { sheetId, rowIndex: rowIndex1 - 1, columnIndex: colIndex0 },
+          rows: [{ values: values.map(toCellData) }],
+          fields: 'userEnteredValue'
+        }
+      }]);
+    },
+
+    // Blank every data row (keeps the header), as one batch request
+    async clearRows(tabName) {
+      const sheetId = (await getTabIds()).get(tabName);
+      if (typeof sheetId === 'undefined') return;
+      await write(tabName, [{ updateCells: { range: { sheetId, startRowIndex: 1 }, fields: 'userEnteredValue' } }]);
+    },
+
+    // Delete rows by 1-based indices (descending to avoid index shift)
+    async deleteRows(tabName, rowIndices1Based) {
+      // Need the sheetId (gid) for DeleteDimensionRequest
+      const sheetId = (await getTabIds()).get(tabName);
+      if (typeof sheetId === 'undefined') return;
+
+      // Sort descending so earlier deletes don't shift later positions
+      const sorted = [...rowIndices1Based].sort((a,b) => b - a);
+
+      await write(tabName, sorted.map(rowIndex => ({
+        deleteDimension: {
+          range: {
+            sheetId,
+            dimension: 'ROWS',
+            startIndex: rowIndex - 1, // 0-based, inclusive
+            endIndex: rowIndex     // 0-based, exclusive
+          }
+        }
+      })));
+    }
+  };
+}
+
+// ---------- Local JSON-file adapter ----------
+// Whole store lives in memory as { tabs: { [name]: { headers, rows } } } and is rewritten
+// (tmp + rename) after every mutation. Fine for dev/test volumes, not for production.
+function createJsonTables(filePath) {
+  let db = null;
+
+  function load() {
+    if (db) return db;
+    try {
+      db = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      db = { tabs: {} };
+    }
+    return db;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db));
+    fs.renameSync(tmp, filePath);
+  }
+
+  const tab = (name) => load().tabs[name];
+
+  return {
+    // Every write is already a local file write, nothing to group
+    async withBatch(fn) {
+      return fn();
+    },
+
+    async outsideBatch(fn) {
+      return fn();
+    },
+
+    async ensureTab(tabName, headers) {
+      const t = tab(tabName);
+      if (t) {
+        const extra = missingTrailingHeaders(t.headers, headers);
+        if (extra.length) await this.addHeaders(tabName, extra);
+        return;
+      } else {
+        load().tabs[tabName] = { headers: [...headers], rows: [] };
+      }
+      save();
+    },
+
+    async addHeaders(tabName, names) {
+      const t = tab(tabName);
+      if (!t || !names.length) return;
+      t.headers.push(...names);
+      save();
+    },
+
+    async moveColumn(tabName, fromIndex0, toIndex0) {
+      const t = tab(tabName);
+      if (!t || fromIndex0 === toIndex0) return;
+      const move = (cells) => {
+        while (cells.length <= Math.max(fromIndex0, toIndex0)) cells.push('');
+        cells.splice(toIndex0, 0, cells.splice(fromIndex0, 1)[0]);
+      };
+      move(t.headers);
+      t.rows.forEach(move);
+      save();
+    },
+
+    async getHeaders(tabName) {
+      return tab(tabName) ? [...tab(tabName).headers] : [];
+    },
+
+    async readRows(tabName) {
+      return tab(tabName) ? tab(tabName).rows.map(r => [...r]) : [];
+    },
+
+    // Like a sheet append, writing to a tab that doesn't exist yet creates it headerless
+    async appendRows(tabName, rows) {
+      if (!tab(tabName)) load().tabs[tabName] = { headers: [], rows: [] };
+      tab(tabName).rows.push(...rows.map(r => [...r]));
+      save();
+    },
+
+    async updateCells(tabName, rowIndex1, colIndex0, values) {
+      const t = tab(tabName);
+      const row = t && t.rows[rowIndex1 - 2];
+      if (!row) throw new Error(`${tabName} has no row ${rowIndex1}`);
+      values.forEach((v, i) => { row[colIndex0 + i] = v; });
+      save();
+    },
+
+    async clearRows(tabName) {
+      const t = tab(tabName);
+      if (!t) return;
+      t.rows = [];
+      save();
+    },
+
+    async deleteRows(tabName, rowIndices1Based) {
+      const t = tab(tabName);
+      if (!t) return;
+      const drop = new Set(rowIndices1Based.map(i => i - 2));
+      t.rows = t.rows.filter((_r, i) => !drop.has(i));
+      save();
+    }
+  };
+}
+
+// ---------- Dry-run overlay ----------
+// Inside dryRun(fn), getTables() hands out a wrapper that passes reads through to the real
+// backend and records every write as a planned change instead of applying it. Reads don't
+// see earlier planned writes, so a run describes each write against the data as it is now.
+// Changes carry records keyed by header: { tab, op: append|update|delete|clear, ... }.
+const dryRunContext = new AsyncLocalStorage();
+
+async function dryRun(fn) {
+  const plan = { changes: [], tables: null };
+  plan.tables = createDryRunTables(getTables(), plan.changes);
+  const result = await dryRunContext.run(plan, () => withLogContext({ dry_run: true }, fn));
+  return { result, changes: plan.changes };
+}
+
+// Runs fn outside any dry run (for writes that must happen regardless, e.g. rotated tokens)
+function outsideDryRun(fn) {
+  return dryRunContext.exit(fn);
+}
+
+function createDryRunTables(real, changes) {
+  const headersOf = async (tabName) => (await real.getHeaders(tabName).catch(() => [])).map(h => String(h).trim());
+  const rowsOf = (tabName) => real.readRows(tabName).catch(() => []);
+
+  return {
+    withBatch: (fn) => fn(),
+    outsideBatch: (fn) => fn(),
+    ensureTab: async () => {},
+    getHeaders: (tabName) => real.getHeaders(tabName),
+    readRows: (tabName) => real.readRows(tabName),
+
+    async appendRows(tabName, rows) {
+      const headers = await headersOf(tabName);
+      for (const row of rows) changes.push({ tab: tabName, op: 'append', record: toRecord(headers, row) });
+    },
+
+    async updateCells(tabName, rowIndex1, colIndex0, values) {
+      const headers = await headersOf(tabName);
+      const current = (await rowsOf(tabName))[rowIndex1 - 2] || [];
+      const before = {};
+      const after = {};
+      values.forEach((v, i) => {
+        const name = headers[colIndex0 + i] || colToA1(colIndex0 + i + 1);
+        before[name] = current[colIndex0 + i] ?? '';
+        after[name] = v;
+      });
+      changes.push({ tab: tabName, op: 'update', row: rowIndex1, before, after });
+    },
+
+    async deleteRows(tabName, rowIndices1Based) {
+      const headers = await headersOf(tabName);
+      const rows = await rowsOf(tabName);
+      for (const i of rowIndices1Based) changes.push({ tab: tabName, op: 'delete', row: i, record: toRecord(headers, rows[i - 2] || []) });
+    },
+
+    async clearRows(tabName) {
+      changes.push({ tab: tabName, op: 'clear', rows: (await rowsOf(tabName)).length });
+    },
+
+    async addHeaders(tabName, names) {
+      changes.push({ tab: tabName, op: 'add_headers', headers: names });
+    },
+
+    async moveColumn(tabName, fromIndex0, toIndex0) {
+      changes.push({ tab: tabName, op: 'move_column', from: fromIndex0, to: toIndex0 });
+    }
+  };
+}
+
+// ---------- Tab helpers (backend-agnostic) ----------
+// New columns are only ever appended to a schema, so an existing header row that is a
+// prefix of the wanted one just needs the trailing headers written. Anything else is left
+// alone rather than guessed at.
+function missingTrailingHeaders(current, wanted) {
+  if (current.length >= wanted.length) return [];
+  const isPrefix = current.every((h, i) => String(h).trim() === String(wanted[i]).trim());
+  return isPrefix ? wanted.slice(current.length) : [];
+}
+
+async function ensureTabWithHeaders(tabName, headers) {
+  await getTables().ensureTab(tabName, headers);
+}
+
+async function appendToSheet(tabName, values) {
+  if (tabName === 'inbox') {
+    await ensureTabWithHeaders('inbox', INBOX_HEADERS);
+  }
+  await appendRows(tabName, values);
+  console.log(`[SHEETS] appended ${values.length} row(s) to ${tabName}`);
+}
+
+class SchemaMismatchError extends Error {
+  constructor(tabName, { missing = [], duplicates = [], misordered = false } = {}) {
+    const problems = [];
+    if (missing.length) problems.push(`missing column(s) ${missing.join(', ')}`);
+    if (duplicates.length) problems.push(`duplicate column(s) ${duplicates.join(', ')}`);
+    if (misordered) problems.push('columns are not in the expected order');
+    super(`Refusing to write to "${tabName}": ${problems.join('; ')}. Run \`npm run schema:migrate\` or fix its header row.`);
+    this.name = 'SchemaMismatchError';
+    this.tab = tabName;
+  }
+}
+
+// The tab's header row, checked against the columns the code expects (tabSchemas()).
+// Keyed writes only need every expected column present, in any position; positional
+// writes (arrays laid out like the *_HEADERS list) also need them first and in order.
+// Anything else throws instead of landing data under the wrong header.
+async function assertTabSchema(tabName, { positional = false } = {}) {
+  const headers = (await getTables().getHeaders(tabName)).map(h => String(h).trim());
+  const expected = tabSchemas()[tabName];
+  if (!expected) return headers;
+
+  const missing = expected.filter(h => !headers.includes(h));
+  const duplicates = [...new Set(headers.filter((h, i) => h && headers.indexOf(h) !== i))];
+  const misordered = positional && !missing.length && !expected.every((h, i) => headers[i] === h);
+  if (missing.length || duplicates.length || misordered) {
+    throw new SchemaMismatchError(tabName, { missing, duplicates, misordered });
+  }
+  return headers;
+}
+
+async function appendRows(tabName, rows) {
+  await assertTabSchema(tabName, { positional: true });
+  await getTables().appendRows(tabName, rows);
+}
+
+// Append { header: value } records; each value goes under its header wherever that is
+async function appendRecords(tabName, records) {
+  const headers = await assertTabSchema(tabName);
+  await getTables().appendRows(tabName, records.map(r => headers.map(h => r[h] ?? '')));
+}
+
+// Write some fields of one row (1-based) by header name, one write per run of adjacent columns
+async function updateRecord(tabName, rowIndex1, fields) {
+  const headers = await assertTabSchema(tabName);
+  const cells = Object.entries(fields)
+    .map(([name, value]) => [headers.indexOf(name), value])
+    .filter(([col]) => col >= 0)
+    .sort((a, b) => a[0] - b[0]);
+  for (let i = 0; i < cells.length;) {
+    let j = i;
+    while (j + 1 < cells.length && cells[j + 1][0] === cells[j][0] + 1) j++;
+    await getTables().updateCells(tabName, rowIndex1, cells[i][0], cells.slice(i, j + 1).map(c => c[1]));
+    i = j + 1;
+  }
+}
+
+function toRecord(headers, row) {
+  return Object.fromEntries(headers.map((h, i) => [String(h).trim(), row[i]]));
+}
+
+// Every data row of a tab as { header: value } objects (uncached)
+async function readTabRecords(tabName) {
+  const headers = await getTables().getHeaders(tabName);
+  const rows = await getTables().readRows(tabName);
+  return rows.map(r => toRecord(headers, r));
+}
+
+// Get 0-based header index by header text (exact match)
+async function getHeaderIndex(tabName, headerName) {
+  const headers = await getTables().getHeaders(tabName);
+  return headers.findIndex(h => String(h).trim() === String(headerName).trim());
+}
+
+// Tolerant equality: match "15538647680" vs 15538647680 vs "1.553864768e+10"
+function idsEqual(a, b) {
+  if (a == null || b == null) return false;
+  const sa = String(a).trim();
+  const sb = String(b).trim();
+  if (sa === sb) return true;
+  const na = Number(sa), nb = Number(sb);
+  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na === nb;
+  return false;
+}
+
+// Find ALL row indices (1-based) in a tab where the cell in the given header column matches value
+async function findRowIndicesByHeader(tabName, headerName, matchValue) {
+  const colIdx0 = await getHeaderIndex(tabName, headerName);
+  if (colIdx0 < 0) return [];
+
+  const rows = await getTables().readRows(tabName);
+  const matches = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const cell = row[colIdx0];
+    if (idsEqual(cell, matchValue)) {
+      matches.push(i + 2); // 1-based row index (header is row 1)
+    }
+  }
+  return matches;
+}
+
+// Update a single cell by row index (1-based) and col index (0-based)
+async function updateSingleCell(tabName, rowIndex1, colIndex0, value) {
+  await getTables().updateCells(tabName, rowIndex1, colIndex0, [value]);
+}
+
+// Upsert athlete row by athlete_id (keeps sheet tidy)
+async function upsertAthleteRow({ athlete_id, athlete_name, access_token, refresh_token, expires_at, scope = '' }) {
+  await ensureTabWithHeaders('athletes', ATHLETES_HEADERS);
+
+  const record = {
+    athlete_id, athlete_name,
+    access_token: encryptToken(access_token, athlete_id, 'access_token'),
+    refresh_token: encryptToken(refresh_token, athlete_id, 'refresh_token'),
+    expires_at, scope
+  };
+  const [rowIndex] = await findRowIndicesByHeader('athletes', 'athlete_id', athlete_id);
+  if (rowIndex) {
+    await updateRecord('athletes', rowIndex, record);
+  } else {
+    await appendRecords('athletes', [record]);
+  }
+  return { created: !rowIndex };
+}
+
+// ================================
+// Token encryption at rest
+// ================================
+// access/refresh tokens are stored as enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (AES-256-GCM,
+// base64url parts), with "<athlete_id>:<column>" as associated data so a token copied
+// into another row or column won't decrypt. TOKEN_ENCRYPTION_KEY is 32 bytes as hex or
+// base64; during a rotation the old key goes in TOKEN_ENCRYPTION_KEY_PREVIOUS until
+// `npm run tokens:rotate-key` has re-encrypted every row.
+const TOKEN_CIPHER_PREFIX = 'enc:v1:';
+let tokenKeys = null;
+
+function parseTokenKey(raw) {
+  const str = String(raw || '').trim();
+  if (!str) return null;
+  const key = /^[0-9a-f]{64}$/i.test(str) ? Buffer.from(str, 'hex') : Buffer.from(str, 'base64');
+  if (key.length !== 32) throw new Error('Token encryption keys must be 32 bytes (64 hex chars or base64)');
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { id, key };
+}
+
+function getTokenKeys() {
+  if (!tokenKeys) {
+    tokenKeys = {
+      current: parseTokenKey(process.env.TOKEN_ENCRYPTION_KEY),
+      previous: parseTokenKey(process.env.TOKEN_ENCRYPTION_KEY_PREVIOUS)
+    };
+  }
+  return tokenKeys;
+}
+
+function isEncryptedToken(value) {
+  return String(value || '').startsWith(TOKEN_CIPHER_PREFIX);
+}
+
+function encryptToken(plain, athleteId, column) {
+  if (!plain) return '';
+  const { current } = getTokenKeys();
+  if (!current) throw new Error('TOKEN_ENCRYPTION_KEY is not set; refusing to store Strava tokens in plaintext');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  cipher.setAAD(Buffer.from(`${athleteId}:${column}`));
+  const ciphertext = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const parts = [current.id, iv, cipher.getAuthTag(), ciphertext].map(p => Buffer.isBuffer(p) ? p.toString('base64url') : p);
+  return TOKEN_CIPHER_PREFIX + parts.join(':');
+}
+
+// Returns { value, stale } where stale means the cell should be rewritten with the current
+// key (plaintext legacy row, or encrypted with the previous key)
+function decryptToken(stored, athleteId, column) {
+  if (!stored) return { value: '', stale: false };
+  if (!isEncryptedToken(stored)) return { value: String(stored), stale: true };
+
+  const [keyId, iv, tag, ciphertext] = String(stored).slice(TOKEN_CIPHER_PREFIX.length).split(':');
+  const { current, previous } = getTokenKeys();
+  const match = [current, previous].find(k => k && k.id === keyId);
+  if (!match) throw new Error(`No key loaded for token key id ${keyId} (athlete ${athleteId})`);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', match.key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(`${athleteId}:${column}`));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+  return { value: plain, stale: match !== current };
+}
+
+// Startup check. Returns why the server must not start, else null: with athletes stored
+// and no key, every token refresh (and every join) would fail.
+async function tokenEncryptionStartupProblem() {
+  try {
+    if (getTokenKeys().current) return null;
+  } catch (err) {
+    return `TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_KEY_PREVIOUS is invalid: ${err.message}`;
+  }
+  const generate = 'generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"';
+  const stored = (await readTabRecords('athletes')).filter(r => r.athlete_id && (r.access_token || r.refresh_token));
+  if (stored.length) {
+    return `TOKEN_ENCRYPTION_KEY is not set but ${stored.length} athlete(s) have stored tokens; ${generate}`;
+  }
+  console.error(`[TOKENS] TOKEN_ENCRYPTION_KEY is not set: joins are refused until it is (${generate})`);
+  return null;
+}
+
+// Re-encrypt every athlete row with the current key (also migrates plaintext rows)
+async function rotateTokenEncryption() {
+  if (!getTokenKeys().current) throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  const rows = await readTabRecords('athletes');
+  let rewritten = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (!r.athlete_id) continue;
+    const access = decryptToken(r.access_token, r.athlete_id, 'access_token');
+    const refresh = decryptToken(r.refresh_token, r.athlete_id, 'refresh_token');
+    if (!access.stale && !refresh.stale) continue;
+    await writeAthleteTokens(i + 2, r.athlete_id, access.value, refresh.value, r.expires_at);
+    rewritten++;
+  }
+  console.log('[TOKENS] re-encrypted', rewritten, 'of', rows.length, 'athlete row(s)');
+  return { athletes: rows.length, rewritten };
+}
+
+// ================================
+// Auth helpers (refresh tokens)
+// ================================
+async function getAthleteAuth(athleteId) {
+  const rows = await readTabRecords('athletes');
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (String(r.athlete_id) === String(athleteId)) {
+      const access = decryptToken(r.access_token, r.athlete_id, 'access_token');
+      const refresh = decryptToken(r.refresh_token, r.athlete_id, 'refresh_token');
+      const auth = {
+        rowIndex: i + 2,
+        athlete_name: r.athlete_name || '',
+        access_token: access.value,
+        refresh_token: refresh.value,
+        expires_at: Number(r.expires_at || 0),
+        scope: r.scope || ''
+      };
+
+      const unsaved = unsavedTokens.get(String(r.athlete_id));
+      if (unsaved) {
+        Object.assign(auth, unsaved);
+        await saveAthleteTokens(auth.rowIndex, r.athlete_id, unsaved); // try again
+      } else if ((access.stale || refresh.stale) && getTokenKeys().current) {
+        // Migrate plaintext / previous-key rows the first time we touch them
+        await writeAthleteTokens(auth.rowIndex, r.athlete_id, auth.access_token, auth.refresh_token, auth.expires_at);
+        console.log('[TOKENS] migrated stored tokens to current key for athlete', r.athlete_id);
+      }
+      return auth;
+    }
+  }
+  return null;
+}
+
+// Strava may retire the old refresh token once a new one is issued, so tokens are stored
+// even during a dry run, and straight away even if the event that refreshed them fails
+async function writeAthleteTokens(rowIndex, athleteId, access_token, refresh_token, expires_at) {
+  await outsideDryRun(() => getTables().outsideBatch(() => updateRecord('athletes', rowIndex, {
+    access_token: encryptToken(access_token, athleteId, 'access_token'),
+    refresh_token: encryptToken(refresh_token, athleteId, 'refresh_token'),
+    expires_at
+  })));
+}
+
+// Tokens Strava issued that couldn't be stored (no key, sheet unavailable): they're the
+// only valid ones once the old refresh token is retired, so they're used from memory and
+// written again on the next lookup until that works
+const unsavedTokens = new Map(); // athlete_id -> { access_token, refresh_token, expires_at }
+
+async function saveAthleteTokens(rowIndex, athleteId, tokens) {
+  try {
+    await writeAthleteTokens(rowIndex, athleteId, tokens.access_token, tokens.refresh_token, tokens.expires_at);
+    if (unsavedTokens.delete(String(athleteId))) console.log('[TOKENS] stored previously unsaved tokens for athlete', athleteId);
+    return true;
+  } catch (err) {
+    unsavedTokens.set(String(athleteId), tokens);
+    console.error('[TOKENS] could not store refreshed tokens for athlete', athleteId, '- keeping them in memory:', describeError(err));
+    return false;
+  }
+}
+
+async function ensureFreshAccessToken(athleteId) {
+  const auth = await getAthleteAuth(athleteId);
+  if (!auth) {
+    console.warn('[AUTH] No athlete row for', athleteId);
+    return { access_token: null, athlete_name: null };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (auth.access_token && auth.expires_at && auth.expires_at - 60 > now) {
+    return { access_token: auth.access_token, athlete_name: auth.athlete_name };
+  }
+
+  // refresh
+  let data;
+  try {
+    ({ data } = await stravaRequest({
+      method: 'post',
+      url: STRAVA_OAUTH_TOKEN_URL,
+      data: {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        grant_type: 'refresh_token',
+        refresh_token: auth.refresh_token
+      }
+    }));
+  } catch (e) {
+    if (e instanceof StravaRateLimitError) throw e; // let the queue defer, not drop
+    incMetric('suc_token_refreshes_total', { result: 'failure' });
+    console.error('[TOKEN REFRESH ERROR]', e?.response?.data || e.message);
+    return { access_token: null, athlete_name: auth.athlete_name };
+  }
+
+  // A storage failure must not cost us tokens Strava has already rotated
+  incMetric('suc_token_refreshes_total', { result: 'success' });
+  const { access_token, refresh_token, expires_at } = data;
+  await saveAthleteTokens(auth.rowIndex, athleteId, { access_token, refresh_token, expires_at });
+  return { access_token, athlete_name: auth.athlete_name };
+}
+
+// ================================
+// Local time (derived date columns)
+// ================================
+// local_hour / is_night_run / week_start / month describe the athlete's own wall clock,
+// never the server's (Render runs in UTC). We convert start_date (UTC) with the IANA zone
+// in Strava's `timezone` ("(GMT-08:00) America/Los_Angeles"); when that's missing or
+// unknown, start_date_local already is the wall-clock time (Strava suffixes it with Z).
+//   WEEK_START        sunday (default) | monday (ISO weeks)
+//   NIGHT_START_HOUR  night window start, local hour (default 22)
+//   NIGHT_END_HOUR    night window end, exclusive; wraps past midnight (default 0 = midnight)
+//   CREW_TIMEZONE     zone used for "this week"/"this month" (default America/Los_Angeles)
+const WEEK_START_DAY = /^mon/i.test(process.env.WEEK_START || '') ? 1 : 0;
+const NIGHT_START_HOUR = Number(process.env.NIGHT_START_HOUR ?? 22);
+const NIGHT_END_HOUR = Number(process.env.NIGHT_END_HOUR ?? 0);
+const CREW_TIMEZONE = process.env.CREW_TIMEZONE || 'America/Los_Angeles';
+const zoneFormatters = new Map();
+
+// Intl formatter for an IANA zone (or the zone inside a Strava "(GMT…) Zone" label), else null
+function zoneFormatter(timezone) {
+  const zone = String(timezone || '').replace(/^\(GMT[^)]*\)\s*/, '').trim();
+  if (!zone) return null;
+  if (!zoneFormatters.has(zone)) {
+    let fmt = null;
+    try {
+      fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', weekday: 'short'
+      });
+    } catch {
+      console.warn('[TIME] unknown timezone', zone, '- falling back to start_date_local');
+    }
+    zoneFormatters.set(zone, fmt);
+  }
+  return zoneFormatters.get(zone);
+}
+
+// { year, month, day, hour, weekday (0 = Sunday) } of the activity's local start time
+function localDateParts(utcIso, localIso, timezone) {
+  const fmt = zoneFormatter(timezone);
+  const utc = utcIso ? new Date(utcIso) : null;
+  if (fmt && utc && !isNaN(utc)) {
+    const p = Object.fromEntries(fmt.formatToParts(utc).map(x => [x.type, x.value]));
+    return {
+      year: Number(p.year), month: Number(p.month), day: Number(p.day), hour: Number(p.hour),
+      weekday: ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].indexOf(p.weekday)
+    };
+  }
+  // start_date_local is wall-clock time dressed up as UTC, so read it back in UTC
+  const d = new Date(localIso || utcIso);
+  if (isNaN(d)) return null;
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), hour: d.getUTCHours(), weekday: d.getUTCDay() };
+}
+
+function isNightHour(hour) {
+  if (NIGHT_START_HOUR === NIGHT_END_HOUR) return false;
+  return NIGHT_START_HOUR < NIGHT_END_HOUR
+    ? hour >= NIGHT_START_HOUR && hour < NIGHT_END_HOUR
+    : hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+}
+
+function derivedDateFields(parts) {
+  if (!parts) return { localHour: '', isNight: false, weekStart: '', month: '' };
+  const back = (parts.weekday - WEEK_START_DAY + 7) % 7;
+  return {
+    localHour: parts.hour,
+    isNight: isNightHour(parts.hour),
+    weekStart: new Date(Date.UTC(parts.year, parts.month - 1, parts.day - back)).toISOString().split('T')[0],
+    month: `${parts.year}-${String(parts.month).padStart(2, '0')}`
+  };
+}
+
+// Rewrite the derived columns of existing activities + segment_efforts rows with the
+// current rules (after changing WEEK_START / NIGHT_* or to fix rows written in server
+// time). Only cells that actually change are written.
+async function recomputeDerivedFields() {
+  await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+  await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+  const same = (a, b) => String(a ?? '').toUpperCase() === String(b ?? '').toUpperCase();
+
+  const actHeaders = await getTables().getHeaders('activities');
+  const effHeaders = await getTables().getHeaders('segment_efforts');
+  const activities = await readTabRecords('activities');
+  const efforts = await readTabRecords('segment_efforts');
+  const zoneByActivity = new Map(activities.map(a => [String(a.activity_id), a.timezone]));
+
+  const counts = { activities: 0, efforts: 0, cells: 0 };
+  await getTables().withBatch(async () => {
+    const rewrite = async (tab, headers, rowIndex, rec, next) => {
+      let changed = false;
+      for (const [name, value] of Object.entries(next)) {
+        const col = headers.findIndex(h => String(h).trim() === name);
+        if (col < 0 || same(rec[name], value)) continue;
+        await getTables().updateCells(tab, rowIndex, col, [value]);
+        counts.cells++;
+        changed = true;
+      }
+      return changed;
+    };
+
+    for (let i = 0; i < activities.length; i++) {
+      const a = activities[i];
+      if (!a.activity_id) continue;
+      const f = derivedDateFields(localDateParts(a.start_date, a.start_date_local, a.timezone));
+      if (await rewrite('activities', actHeaders, i + 2, a, {
+        is_night_run: f.isNight, is_5k_plus: cellNumber(a.distance_m) >= 5000,
+        local_hour: f.localHour, week_start: f.weekStart, month: f.month
+      })) counts.activities++;
+    }
+
+    for (let i = 0; i < efforts.length; i++) {
+      const e = efforts[i];
+      if (!e.activity_id) continue;
+      const f = derivedDateFields(localDateParts(e.start_date, e.start_date_local, zoneByActivity.get(String(e.activity_id))));
+      if (await rewrite('segment_efforts', effHeaders, i + 2, e, { week_start: f.weekStart, month: f.month })) counts.efforts++;
+    }
+  });
+
+  activitiesCache = { at: 0, records: null };
+  if (counts.activities) await rebuildSummaries(); // rows may have moved to another week / month
+  console.log('[TIME] recomputed derived fields:', counts, '- run challenges:recompute if challenges use local_hour / night runs');
+  return counts;
+}
+
+// ================================
+// Sheet schema + mappers
+// ================================
+const ATHLETES_HEADERS = ['athlete_id','athlete_name','access_token','refresh_token','expires_at','scope'];
+
+const ACTIVITIES_HEADERS = [
+  'activity_id','athlete_id','athlete_name','name','sport_type',
+  'distance_m','moving_time_s','elapsed_time_s','total_elev_gain_m',
+  'start_date','start_date_local','timezone','utc_offset_sec',
+  'start_lat','start_lng','gear_id',
+  'avg_speed_m_s','max_speed_m_s',
+  'has_heartrate','avg_heartrate','max_heartrate','suffer_score',
+  'kudos_count','comment_count','achievement_count',
+  'visibility','is_trainer','is_commute',
+  'device_name','map_polyline','created_at',
+  'is_night_run','is_5k_plus','local_hour','week_start','month',
+  'efforts_scanned'
+];
+
+const EFFORTS_HEADERS = [
+  'activity_id','athlete_id','segment_id','segment_name',
+  'elapsed_time_s','moving_time_s',
+  'start_date','start_date_local',
+  'pr_rank','kom_rank','distance_m',
+  'average_grade','elev_high_m','elev_low_m',
+  'segment_start_lat','segment_start_lng',
+  'segment_end_lat','segment_end_lng',
+  'week_start','month'
+];
+
+const INBOX_HEADERS = ['ts','object_type','aspect_type','object_id','owner_id','raw_json'];
+
+// Every tab the app writes, with the columns the code expects in canonical order. Writes
+// are checked against the live header row (assertTabSchema) and `npm run schema:migrate`
+// brings existing tabs in line. A function because some lists are declared further down.
+function tabSchemas() {
+  return {
+    athletes: ATHLETES_HEADERS,
+    activities: ACTIVITIES_HEADERS,
+    segment_efforts: EFFORTS_HEADERS,
+    inbox: INBOX_HEADERS,
+    dead_letter: DEAD_LETTER_HEADERS,
+    audit: AUDIT_HEADERS,
+    reconcile_log: RECONCILE_HEADERS,
+    watched_segments: WATCHED_SEGMENTS_HEADERS,
+    course_records: COURSE_RECORDS_HEADERS,
+    challenge_scores: CHALLENGE_SCORES_HEADERS,
+    weekly_summary: WEEKLY_SUMMARY_HEADERS,
+    monthly_summary: MONTHLY_SUMMARY_HEADERS,
+    notification_log: NOTIFICATION_LOG_HEADERS,
+    notification_mutes: NOTIFICATION_MUTES_HEADERS,
+    schema_migrations: SCHEMA_MIGRATIONS_HEADERS
+  };
+}
+
+// Mappers return { header: value } records, written by header name (appendRecords /
+// updateRecord), so a column's position in the sheet doesn't matter.
+// effortsScanned: whether this fetch included the activity's segment efforts (requested
+// with include_all_efforts=true) so segment_efforts is complete for it
+function mapActivityRow(athleteName, athleteId, a, effortsScanned = Array.isArray(a.segment_efforts)) {
+  const { localHour, isNight, weekStart, month } = derivedDateFields(localDateParts(a.start_date, a.start_date_local, a.timezone));
+
+  return {
+    activity_id: a.id,
+    athlete_id: athleteId,
+    athlete_name: athleteName || '',
+    name: a.name || '',
+    sport_type: a.sport_type || '',
+    distance_m: a.distance || '',
+    moving_time_s: a.moving_time || '',
+    elapsed_time_s: a.elapsed_time || '',
+    total_elev_gain_m: a.total_elevation_gain || '',
+    start_date: a.start_date || '',
+    start_date_local: a.start_date_local || '',
+    timezone: a.timezone || '',
+    utc_offset_sec: a.utc_offset || '',
+    start_lat: (a.start_latlng && a.start_latlng[0]) || '',
+    start_lng: (a.start_latlng && a.start_latlng[1]) || '',
+    gear_id: a.gear_id || '',
+    avg_speed_m_s: a.average_speed || '',
+    max_speed_m_s: a.max_speed || '',
+    has_heartrate: !!a.has_heartrate,
+    avg_heartrate: a.average_heartrate || '',
+    max_heartrate: a.max_heartrate || '',
+    suffer_score: a.suffer_score || '',
+    kudos_count: a.kudos_count || '',
+    comment_count: a.comment_count || '',
+    achievement_count: a.achievement_count || '',
+    visibility: a.visibility || '',
+    is_trainer: a.trainer || '',
+    is_commute: a.commute || '',
+    device_name: a.device_name || '',
+    map_polyline: (a.map && a.map.summary_polyline) || '',
+    created_at: a.created_at || '',
+    is_night_run: isNight,
+    is_5k_plus: (a.distance || 0) >= 5000,
+    local_hour: localHour,
+    week_start: weekStart,
+    month,
+    efforts_scanned: effortsScanned
+  };
+}
+
+function mapEffortRow(athleteId, act, e) {
+  const { weekStart, month } = derivedDateFields(localDateParts(e.start_date, e.start_date_local, act.timezone));
+  const s = e.segment || {};
+  return {
+    activity_id: act.id,
+    athlete_id: athleteId,
+    segment_id: s.id || '',
+    segment_name: s.name || '',
+    elapsed_time_s: e.elapsed_time || '',
+    moving_time_s: e.moving_time || '',
+    start_date: e.start_date || '',
+    start_date_local: e.start_date_local || '',
+    pr_rank: e.pr_rank || '',
+    kom_rank: e.kom_rank || '',
+    distance_m: s.distance || '',
+    average_grade: s.average_grade || '',
+    elev_high_m: s.elevation_high || '',
+    elev_low_m: s.elevation_low || '',
+    segment_start_lat: (s.start_latlng && s.start_latlng[0]) || '',
+    segment_start_lng: (s.start_latlng && s.start_latlng[1]) || '',
+    segment_end_lat: (s.end_latlng && s.end_latlng[0]) || '',
+    segment_end_lng: (s.end_latlng && s.end_latlng[1]) || '',
+    week_start: weekStart,
+    month
+  };
+}
+
+// ================================
+// Activity processors
+// ================================
+// Every processor resolves to { ok: true } or { ok: false, error } so drainQueue can retry.
+
+// Flatten an axios/Google error into one line for logs + the dead_letter tab
+function describeError(err) {
+  const data = err?.response?.data;
+  if (data) return typeof data === 'string' ? data : JSON.stringify(data);
+  return err?.message || String(err);
+}
+
+// Rate-limited work is deferred to the next window instead of burning a retry attempt
+function processorFailure(err) {
+  const result = { ok: false, error: describeError(err) };
+  if (err instanceof StravaRateLimitError) result.deferUntil = err.retryAt;
+  return result;
+}
+async function processNewActivity(objectId, ownerId) {
+  try {
+    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+    await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+
+    // de-dupe by activity_id. The row is stored unscanned and only marked scanned once its
+    // efforts, records, scores and summaries are written, so a row left unscanned by a
+    // failed attempt is finished (via the update path) instead of skipped.
+    const existing = (await readTabRecords('activities')).find(a => idsEqual(a.activity_id, objectId));
+    if (existing && cellBool(existing.efforts_scanned)) {
+      console.log('[NEW ACT] duplicate, skipping', objectId);
+      return { ok: true };
+    }
+    if (existing) {
+      console.log('[NEW ACT] already stored but unscanned, finishing it', objectId);
+      await notifyActivityIngested(existing); // no-op if the first attempt's went out
+      return processActivityUpdate({ object_id: objectId, owner_id: ownerId, updates: {} });
+    }
+
+    const { access_token, athlete_name } = await ensureFreshAccessToken(ownerId);
+    if (!access_token) {
+      console.warn('[NEW ACT] no usable access_token for owner', ownerId);
+      return { ok: false, error: `no usable access_token for owner ${ownerId}` };
+    }
+
+    const act = await stravaRequest({
+      method: 'get',
+      url: `${STRAVA_API_BASE}/activities/${objectId}?include_all_efforts=true`,
+      headers: { Authorization: `Bearer ${access_token}` }
+    }).then(r => r.data);
+
+    const activity = mapActivityRow(athlete_name, ownerId, act);
+    await appendRecords('activities', [{ ...activity, efforts_scanned: false }]);
+    await notifyActivityIngested(activity);
+
+    const { efforts, effortRecords } = await watchedEfforts(ownerId, act);
+    if (effortRecords.length) {
+      await appendRecords('segment_efforts', effortRecords);
+      await refreshCourseRecordsQuietly(efforts.map(e => e.segment.id));
+    }
+
+    await rescoreActivity(activity, effortRecords, { replace: false });
+    await refreshSummariesQuietly([activity]);
+    if (cellBool(activity.efforts_scanned)) {
+      await updateRecord('activities', await findActivityRowIndex(objectId), { efforts_scanned: true });
+    }
+
+    console.log('[NEW ACT] appended activity', objectId, 'watched efforts:', efforts.length, 'of', (act.segment_efforts || []).length);
+    return { ok: true };
+  } catch (err) {
+    console.error('[NEW ACT ERROR]', err?.response?.data || err.message || err);
+    return processorFailure(err);
+  }
+}
+
+// Only watched segments are kept (see "Watched segments" above)
+async function watchedEfforts(ownerId, act) {
+  const watched = await loadWatchedSegments();
+  const efforts = (act.segment_efforts || []).filter(e => e.segment && watched.has(String(e.segment.id)));
+  return { efforts, effortRecords: efforts.map(e => mapEffortRow(ownerId, act, e)) };
+}
+
+// Swap an activity's segment_efforts rows for the ones in a fresh include_all_efforts
+// fetch. Course records are re-checked on old and new segments alike. Returns the new
+// effort records.
+async function replaceActivityEfforts(ownerId, act) {
+  await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+  const oldSegments = (await readTabRecords('segment_efforts'))
+    .filter(e => idsEqual(e.activity_id, act.id))
+    .map(e => e.segment_id);
+  await deleteRows('segment_efforts', await findRowIndicesByHeader('segment_efforts', 'activity_id', act.id));
+
+  const { efforts, effortRecords } = await watchedEfforts(ownerId, act);
+  if (effortRecords.length) await appendRecords('segment_efforts', effortRecords);
+
+  const touched = [...oldSegments, ...efforts.map(e => e.segment.id)];
+  if (touched.length) await refreshCourseRecordsQuietly(touched);
+  console.log('[EFFORTS] resynced', act.id, 'removed:', oldSegments.length, 'added:', effortRecords.length);
+  return effortRecords;
+}
+
+// Fields whose change means the efforts we stored may no longer match the activity
+// (crop, re-upload, corrected start time, different sport)
+const EFFORT_SENSITIVE_NUMBERS = ['distance_m', 'moving_time_s', 'elapsed_time_s', 'total_elev_gain_m'];
+const EFFORT_SENSITIVE_STRINGS = ['start_date', 'sport_type'];
+
+function effortsNeedResync(before, after) {
+  if (!cellBool(before.efforts_scanned)) return true;
+  return EFFORT_SENSITIVE_NUMBERS.some(f => cellNumber(before[f]) !== cellNumber(after[f])) ||
+    EFFORT_SENSITIVE_STRINGS.some(f => String(before[f] ?? '') !== String(after[f] ?? ''));
+}
+
+async function processActivityUpdate(evt) {
+  try {
+    const { object_id, owner_id, updates = {} } = evt;
+    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+
+    // Ensure row exists; if not, fetch once
+    let rowIndex = await findActivityRowIndex(object_id);
+    if (!rowIndex) {
+      console.log('[UPDATE] activity not found, calling processNewActivity first', object_id);
+      const created = await processNewActivity(object_id, owner_id);
+      if (!created.ok) return created;
+      rowIndex = await findActivityRowIndex(object_id);
+      if (!rowIndex) {
+        console.warn('[UPDATE] still no row after fetch, giving up for now', object_id);
+        return { ok: false, error: `no activities row for ${object_id} after fetch` };
+      }
+    }
+
+    // What we had before this update, to tell whether the efforts need a resync
+    const before = (await readTabRecords('activities')).find(a => idsEqual(a.activity_id, object_id)) || {};
+
+    // FAST PATH: apply webhook updates directly
+    const nameCol  = await getHeaderIndex('activities', 'name');
+    const visCol   = await getHeaderIndex('activities', 'visibility');
+    const sportCol = await getHeaderIndex('activities', 'sport_type');
+
+    if (typeof updates.title !== 'undefined' && nameCol >= 0) {
+      await updateSingleCell('activities', rowIndex, nameCol, updates.title);
+      console.log('[UPDATE] applied title from webhook for', object_id, '->', updates.title);
+    }
+    if (typeof updates.visibility !== 'undefined' && visCol >= 0) {
+      await updateSingleCell('activities', rowIndex, visCol, updates.visibility);
+      console.log('[UPDATE] applied visibility from webhook for', object_id, '->', updates.visibility);
+    } else if (typeof updates.private !== 'undefined' && visCol >= 0) {
+      const v = updates.private ? 'only_me' : 'everyone';
+      await updateSingleCell('activities', rowIndex, visCol, v);
+      console.log('[UPDATE] applied private->visibility for', object_id, '->', v);
+    }
+    if (typeof updates.type !== 'undefined' && sportCol >= 0) {
+      await updateSingleCell('activities', rowIndex, sportCol, updates.type);
+      console.log('[UPDATE] applied type from webhook for', object_id, '->', updates.type);
+    } else if (typeof updates.sport_type !== 'undefined' && sportCol >= 0) {
+      await updateSingleCell('activities', rowIndex, sportCol, updates.sport_type);
+      console.log('[UPDATE] applied sport_type from webhook for', object_id, '->', updates.sport_type);
+    }
+
+    // SLOW PATH: refresh full row to keep other fields fresh
+    const { access_token, athlete_name } = await ensureFreshAccessToken(owner_id);
+    if (!access_token) {
+      console.warn('[UPDATE] no usable access_token for owner', owner_id);
+      return { ok: false, error: `no usable access_token for owner ${owner_id}` };
+    }
+
+    // Same request cost with or without efforts, so always ask for them
+    let act;
+    try {
+      act = await stravaRequest({
+        method: 'get',
+        url: `${STRAVA_API_BASE}/activities/${object_id}?include_all_efforts=true`,
+        headers: { Authorization: `Bearer ${access_token}` }
+      }).then(r => r.data);
+    } catch (err) {
+      // Without activity:read_all an "Only You" activity can't be read back. The row is kept,
+      // marked only_me by the fast path (so it's left out of standings and summaries), and
+      // everything derived from it is brought in line with that.
+      if (err.response?.status !== 404) throw err;
+      const current = (await readTabRecords('activities')).find(a => idsEqual(a.activity_id, object_id));
+      if (current && current.visibility === 'only_me') {
+        console.log('[UPDATE] activity is private and unreadable, kept as only_me', object_id);
+        await refreshActivityDerived(before, current, null);
+        return { ok: true };
+      }
+      // A sweep of a row Strava no longer serves: stop sweeping it (reconcile, or the
+      // webhook that makes it readable again, deals with the row itself)
+      if (current && evt.source === 'sweeper') {
+        await updateRecord('activities', rowIndex, { efforts_scanned: true });
+        console.log('[UPDATE] activity is unreadable, no longer sweeping it', object_id);
+        return { ok: true };
+      }
+      throw err;
+    }
+
+    // The sweeper is the second look: if its fetch has no efforts either, the activity has
+    // none to give (manual entry, no GPS) and the row counts as scanned
+    const scanned = Array.isArray(act.segment_efforts) || evt.source === 'sweeper';
+    const resync = effortsNeedResync(before, mapActivityRow(athlete_name, owner_id, act));
+    const activity = mapActivityRow(athlete_name, owner_id, act, resync ? scanned : true);
+    await updateRecord('activities', rowIndex, activity);
+    console.log('[UPDATE] refreshed full activity row for', object_id, 'at row', rowIndex);
+
+    const effortRecords = resync && Array.isArray(act.segment_efforts) ? await replaceActivityEfforts(owner_id, act) : null;
+    await refreshActivityDerived(before, activity, effortRecords);
+    return { ok: true };
+  } catch (err) {
+    console.error('[UPDATE ERROR]', err?.response?.data || err.message || err);
+    return processorFailure(err);
+  }
+}
+
+// Course records, challenge scores and summaries after an activities row changed from
+// `before` to `activity`. effortRecords: the efforts just rewritten, or null if they were
+// left alone.
+async function refreshActivityDerived(before, activity, effortRecords) {
+  if (!effortRecords) {
+    // Visibility changes can hand a course record to (or take it from) this activity
+    const effortSegments = (await readTabRecords('segment_efforts'))
+      .filter(e => idsEqual(e.activity_id, activity.activity_id))
+      .map(e => e.segment_id);
+    if (effortSegments.length) await refreshCourseRecordsQuietly(effortSegments);
+  }
+  await rescoreActivity(activity, effortRecords);
+  await refreshSummariesQuietly([before, activity]);
+}
+
+// HARD DELETE: remove rows from activities + segment_efforts
+async function processActivityDelete(evt) {
+  try {
+    const { object_id } = evt;
+    const idStr = String(object_id);
+
+    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+    await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+
+    // 1) Delete activity rows
+    const deleted = (await readTabRecords('activities')).filter(a => idsEqual(a.activity_id, idStr));
+    const activityRows = await findRowIndicesByHeader('activities', 'activity_id', idStr);
+    if (activityRows.length) {
+      await deleteRows('activities', activityRows);
+      console.log('[DELETE] removed activity rows for', idStr, activityRows);
+    } else {
+      console.log('[DELETE] no activities rows found for', idStr);
+    }
+
+    // 2) Delete all related segment_efforts rows
+    const effortSegments = (await readTabRecords('segment_efforts'))
+      .filter(e => idsEqual(e.activity_id, idStr))
+      .map(e => e.segment_id);
+    const effortRows   = await findRowIndicesByHeader('segment_efforts', 'activity_id', idStr);
+    if (effortRows.length) {
+      await deleteRows('segment_efforts', effortRows);
+      console.log('[DELETE] removed segment_efforts rows for', idStr, effortRows.length);
+    } else {
+      console.log('[DELETE] no segment_efforts rows found for', idStr);
+    }
+
+    // 3) Delete its challenge scores
+    await ensureTabWithHeaders('challenge_scores', CHALLENGE_SCORES_HEADERS);
+    await deleteRows('challenge_scores', await findRowIndicesByHeader('challenge_scores', 'activity_id', idStr));
+
+    // 4) If it held a course record, the next best effort inherits it
+    if (effortSegments.length) await refreshCourseRecordsQuietly(effortSegments);
+
+    // 5) Its week/month totals shrink
+    await refreshSummariesQuietly(deleted);
+    return { ok: true };
+  } catch (err) {
+    console.error('[DELETE ERROR]', err?.response?.data || err.message || err);
+    return processorFailure(err);
+  }
+}
+
+// ================================
+// Historical backfill (new joins + on demand)
+// ================================
+// Lists the athlete's activities since BACKFILL_START_DATE and queues a synthetic
+// `create` event for each one we don't have yet. The queue then fetches details with
+// efforts through processNewActivity, so backfilled rows get the same mapping, de-dupe,
+// retries and rate-limit deferral as webhook ones.
+const BACKFILL_START_DATE = process.env.BACKFILL_START_DATE || ''; // e.g. 2025-01-01
+const BACKFILL_DEFAULT_DAYS = 90;
+const BACKFILL_PAGE_SIZE = 100;
+const backfillsRunning = new Set();
+
+function backfillAfterEpoch(after) {
+  const raw = after || BACKFILL_START_DATE;
+  const ms = raw ? Date.parse(raw) : Date.now() - BACKFILL_DEFAULT_DAYS * 24 * 60 * 60 * 1000;
+  if (Number.isNaN(ms)) throw new Error(`Invalid backfill start date "${raw}"`);
+  return Math.floor(ms / 1000);
+}
+
+// Run fn, sleeping through Strava rate-limit windows instead of failing
+async function waitOutStravaLimits(fn, tag) {
+  for (;;) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof StravaRateLimitError)) throw err;
+      console.warn(tag, 'rate limited, resuming at', new Date(err.retryAt).toISOString());
+      await new Promise(r => setTimeout(r, Math.max(err.retryAt - Date.now(), 0) + 1000));
+    }
+  }
+}
+
+async function backfillAthlete(athleteId, { after } = {}) {
+  const key = String(athleteId);
+  if (backfillsRunning.has(key)) {
+    console.log('[BACKFILL] already running for', key);
+    return { athlete_id: key, already_running: true };
+  }
+  backfillsRunning.add(key);
+
+  try {
+    const afterEpoch = backfillAfterEpoch(after);
+    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+    const existing = new Set((await readTabRecords('activities')).map(a => String(a.activity_id)));
+    const list = await listAthleteActivities(key, afterEpoch, '[BACKFILL]');
+
+    let queued = 0;
+    for (const a of list) {
+      if (existing.has(String(a.id))) continue;
+      existing.add(String(a.id));
+      enqueueEvent({
+        object_type: 'activity',
+        aspect_type: 'create',
+        object_id: a.id,
+        owner_id: Number(key),
+        source: 'backfill'
+      });
+      queued++;
+    }
+
+    console.log('[BACKFILL] athlete', key, 'since', new Date(afterEpoch * 1000).toISOString(), '- seen:', list.length, 'queued:', queued);
+    return { athlete_id: key, seen: list.length, queued };
+  } finally {
+    backfillsRunning.delete(key);
+  }
+}
+
+// ================================
+// Reconciliation (missed webhooks + deletions)
+// ================================
+// Every RECONCILE_INTERVAL_MINUTES, compares each athlete's Strava activities from the
+// last RECONCILE_LOOKBACK_DAYS with their `activities` rows and queues the synthetic
+// create/update/delete events that bring the sheet back in line. Fixes go through the
+// queue so they're ordered with live webhooks and get retries + rate-limit deferral.
+// Note: with activity:read, activities switched to "Only You" drop out of the listing.
+// Rows the update webhook already marked only_me are kept (as that path does); a missing
+// row that isn't marked is taken as deleted.
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES ?? 360); // 0 = off
+const RECONCILE_LOOKBACK_DAYS = Number(process.env.RECONCILE_LOOKBACK_DAYS || 14);
+const RECONCILE_HEADERS = [
+  'ts','athlete_id','window_start','strava_count','sheet_count',
+  'queued_create','queued_delete','queued_update','error'
+];
+let reconcileRunning = false;
+
+if (RECONCILE_INTERVAL_MINUTES > 0 && !CLI_COMMAND) {
+  setInterval(() => {
+    reconcileAll().catch(err => console.error('[RECONCILE ERROR]', err?.response?.data || err.message || err));
+  }, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+async function reconcileAll() {
+  if (reconcileRunning) {
+    console.log('[RECONCILE] already running, skipping');
+    return null;
+  }
+  reconcileRunning = true;
+  try {
+    const athletes = await readTabRecords('athletes');
+    const results = [];
+    for (const r of athletes) {
+      if (!r.athlete_id) continue;
+      results.push(await reconcileAthlete(String(r.athlete_id)));
+    }
+    console.log('[RECONCILE] done for', results.length, 'athlete(s)');
+    return results;
+  } finally {
+    reconcileRunning = false;
+  }
+}
+
+// All of an athlete's Strava activities that started after afterEpoch (paged)
+async function listAthleteActivities(athleteId, afterEpoch, tag) {
+  const all = [];
+  for (let page = 1; ; page++) {
+    const list = await waitOutStravaLimits(async () => {
+      const { access_token } = await ensureFreshAccessToken(athleteId);
+      if (!access_token) throw new Error(`no usable access_token for athlete ${athleteId}`);
+      return stravaRequest({
+        method: 'get',
+        url: `${STRAVA_API_BASE}/athlete/activities`,
+        params: { after: afterEpoch, page, per_page: BACKFILL_PAGE_SIZE },
+        headers: { Authorization: `Bearer ${access_token}` }
+      }).then(r => r.data);
+    }, tag);
+    if (!Array.isArray(list) || !list.length) break;
+    all.push(...list);
+    if (list.length < BACKFILL_PAGE_SIZE) break;
+  }
+  return all;
+}
+
+async function reconcileAthlete(athleteId) {
+  const afterEpoch = Math.floor(Date.now() / 1000) - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60;
+  const summary = {
+    athlete_id: athleteId, window_start: new Date(afterEpoch * 1000).toISOString(),
+    strava_count: 0, sheet_count: 0, queued_create: 0, queued_delete: 0, queued_update: 0, error: ''
+  };
+
+  try {
+    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+
+    // A partial listing would look like deletions, so any failure here aborts this athlete
+    const onStrava = await listAthleteActivities(athleteId, afterEpoch, '[RECONCILE]');
+    const stravaById = new Map(onStrava.map(a => [String(a.id), a]));
+    summary.strava_count = onStrava.length;
+
+    const rows = (await readTabRecords('activities'))
+      .filter(r => idsEqual(r.athlete_id, athleteId))
+      .filter(r => Date.parse(r.start_date) >= afterEpoch * 1000);
+    summary.sheet_count = rows.length;
+
+    const owner_id = Number(athleteId);
+    const inSheet = new Set();
+    for (const r of rows) {
+      const id = String(r.activity_id);
+      inSheet.add(id);
+      const a = stravaById.get(id);
+      if (!a && r.visibility === 'only_me') continue; // private, not gone
+      if (!a) {
+        enqueueEvent({ object_type: 'activity', aspect_type: 'delete', object_id: Number(id), owner_id, source: 'reconcile' });
+        summary.queued_delete++;
+      } else if (
+        String(r.name ?? '') !== String(a.name ?? '') ||
+        String(r.sport_type ?? '') !== String(a.sport_type ?? '') ||
+        String(r.visibility ?? '') !== String(a.visibility ?? '')
+      ) {
+        enqueueEvent({
+          object_type: 'activity', aspect_type: 'update', object_id: a.id, owner_id, source: 'reconcile',
+          updates: { title: a.name, sport_type: a.sport_type, visibility: a.visibility }
+        });
+        summary.queued_update++;
+      }
+    }
+    for (const a of onStrava) {
+      if (inSheet.has(String(a.id))) continue;
+      enqueueEvent({ object_type: 'activity', aspect_type: 'create', object_id: a.id, owner_id, source: 'reconcile' });
+      summary.queued_create++;
+    }
+  } catch (err) {
+    summary.error = describeError(err);
+    console.error('[RECONCILE ERROR]', athleteId, summary.error);
+  }
+
+  await ensureTabWithHeaders('reconcile_log', RECONCILE_HEADERS);
+  await appendRows('reconcile_log', [[ new Date().toISOString(), ...RECONCILE_HEADERS.slice(1).map(h => summary[h]) ]]);
+  console.log('[RECONCILE]', athleteId, summary);
+  return summary;
+}
+
+// ================================
+// Efforts sweeper (activities whose efforts were never scanned)
+// ================================
+// Rows with efforts_scanned = FALSE (the fetch came back without segment_efforts) get a
+// synthetic update queued, which refetches with include_all_efforts=true and fills
+// segment_efforts in. At most EFFORTS_SWEEP_BATCH per run so a big backlog trickles
+// through the queue instead of eating the Strava budget in one go. Each row is swept
+// once: a sweep that still finds no efforts, or a 404, marks it scanned. only_me rows are
+// skipped, since they can't be read back; the update that makes them visible rescans them.
+const EFFORTS_SWEEP_INTERVAL_MINUTES = Number(process.env.EFFORTS_SWEEP_INTERVAL_MINUTES ?? 60); // 0 = off
+const EFFORTS_SWEEP_BATCH = Number(process.env.EFFORTS_SWEEP_BATCH || 25);
+
+if (EFFORTS_SWEEP_INTERVAL_MINUTES > 0 && !CLI_COMMAND) {
+  setInterval(() => {
+    sweepUnscannedActivities().catch(err => console.error('[SWEEP ERROR]', err?.response?.data || err.message || err));
+  }, EFFORTS_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+}
+
+async function sweepUnscannedActivities() {
+  await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+  // Skip anything already waiting in the queue (a previous sweep, a live webhook)
+  const pending = new Set(inboxQ.filter(e => e.evt.object_type === 'activity').map(e => String(e.evt.object_id)));
+  const unscanned = (await readTabRecords('activities'))
+    .filter(r => r.activity_id && !cellBool(r.efforts_scanned) && r.visibility !== 'only_me' && !pending.has(String(r.activity_id)));
+
+  const batch = unscanned.slice(0, EFFORTS_SWEEP_BATCH);
+  for (const r of batch) {
+    enqueueEvent({
+      object_type: 'activity', aspect_type: 'update', object_id: Number(r.activity_id),
+      owner_id: Number(r.athlete_id), source: 'sweeper', updates: {}
+    });
+  }
+  if (unscanned.length) console.log('[SWEEP] queued', batch.length, 'of', unscanned.length, 'unscanned activities');
+  return { unscanned: unscanned.length, queued: batch.length };
+}
+
+// ================================
+// Summary tabs (weekly_summary / monthly_summary)
+// ================================
+// Pre-aggregated per athlete and week_start / month so Looker Studio reads a few hundred
+// rows instead of scanning `activities` on every view. Same rules as the standings:
+// only LEADERBOARD_SPORT_TYPES count and private (only_me) activities never do.
+// Processors refresh just the (period, athlete) rows an activity touched, before and after
+// the change; SUMMARY_REBUILD_INTERVAL_MINUTES rebuilds both tabs from scratch to heal
+// anything edited by hand (`npm run summaries:rebuild` does it on demand).
+const SUMMARY_REBUILD_INTERVAL_MINUTES = Number(process.env.SUMMARY_REBUILD_INTERVAL_MINUTES ?? 1440); // 0 = off
+const SUMMARY_FIELDS = [
+  'athlete_id','athlete_name','distance_m','moving_time_s','elev_gain_m','runs',
+  'night_runs','five_k_plus_runs','longest_run_m','longest_run_activity_id','updated_at'
+];
+const WEEKLY_SUMMARY_HEADERS = ['week_start', ...SUMMARY_FIELDS];
+const MONTHLY_SUMMARY_HEADERS = ['month', ...SUMMARY_FIELDS];
+const SUMMARY_TABS = [
+  { tab: 'weekly_summary', period: 'week_start', headers: WEEKLY_SUMMARY_HEADERS },
+  { tab: 'monthly_summary', period: 'month', headers: MONTHLY_SUMMARY_HEADERS }
+];
+
+if (SUMMARY_REBUILD_INTERVAL_MINUTES > 0 && !CLI_COMMAND) {
+  setInterval(() => {
+    rebuildSummaries().catch(err => console.error('[SUMMARY ERROR]', err?.response?.data || err.message || err));
+  }, SUMMARY_REBUILD_INTERVAL_MINUTES * 60 * 1000);
+}
+
+function summaryEligible(rec) {
+  if (!rec.activity_id || !rec.athlete_id) return false;
+  if (LEADERBOARD_SPORT_TYPES.size && !LEADERBOARD_SPORT_TYPES.has(String(rec.sport_type || ''))) return false;
+  return rec.visibility !== 'only_me';
+}
+
+const summaryKey = (period, athleteId) => `${period}|${String(athleteId).trim()}`;
+
+// activities records -> Map(summaryKey -> summary record) for one period column.
+// only: optional Set of keys to restrict the work to.
+function summarizeActivities(records, period, only = null) {
+  const out = new Map();
+  for (const rec of records) {
+    const periodKey = String(rec[period] ?? '').trim();
+    if (!periodKey || !summaryEligible(rec)) continue;
+    const key = summaryKey(periodKey, rec.athlete_id);
+    if (only && !only.has(key)) continue;
+
+    const s = out.get(key) || {
+      [period]: periodKey, athlete_id: String(rec.athlete_id).trim(), athlete_name: '',
+      distance_m: 0, moving_time_s: 0, elev_gain_m: 0, runs: 0, night_runs: 0, five_k_plus_runs: 0,
+      longest_run_m: 0, longest_run_activity_id: ''
+    };
+    const distance = cellNumber(rec.distance_m);
+    s.athlete_name = rec.athlete_name || s.athlete_name;
+    s.distance_m += distance;
+    s.moving_time_s += cellNumber(rec.moving_time_s);
+    s.elev_gain_m += cellNumber(rec.total_elev_gain_m);
+    s.runs += 1;
+    if (cellBool(rec.is_night_run)) s.night_runs += 1;
+    if (cellBool(rec.is_5k_plus)) s.five_k_plus_runs += 1;
+    if (distance > s.longest_run_m) {
+      s.longest_run_m = distance;
+      s.longest_run_activity_id = String(rec.activity_id);
+    }
+    out.set(key, s);
+  }
+  for (const s of out.values()) {
+    s.distance_m = Math.round(s.distance_m * 10) / 10;
+    s.elev_gain_m = Math.round(s.elev_gain_m * 10) / 10;
+  }
+  return out;
+}
+
+// Bring the rows for `keys` in line with `summaries` (update changed, append new, delete
+// emptied). Returns { updated, added, removed }.
+async function syncSummaryRows({ tab, period, headers }, keys, summaries) {
+  await ensureTabWithHeaders(tab, headers);
+  const now = new Date().toISOString();
+  const rows = await readTabRecords(tab);
+  const seen = new Set();
+  const stale = [];
+  const counts = { updated: 0, added: 0, removed: 0 };
+
+  for (let i = 0; i < rows.length; i++) {
+    const key = summaryKey(rows[i][period], rows[i].athlete_id);
+    if (!keys.has(key)) continue;
+    const next = summaries.get(key);
+    if (!next || seen.has(key)) { // emptied, or a duplicate row left by a hand edit
+      stale.push(i + 2);
+      continue;
+    }
+    seen.add(key);
+    const changed = SUMMARY_FIELDS.some(f => f !== 'updated_at' && String(rows[i][f] ?? '') !== String(next[f]));
+    if (changed) {
+      await updateRecord(tab, i + 2, { ...next, updated_at: now });
+      counts.updated++;
+    }
+  }
+
+  const added = [...summaries.entries()].filter(([key]) => keys.has(key) && !seen.has(key)).map(([, s]) => ({ ...s, updated_at: now }));
+  if (added.length) await appendRecords(tab, added);
+  if (stale.length) await deleteRows(tab, stale);
+  counts.added = added.length;
+  counts.removed = stale.length;
+  return counts;
+}
+
+// Refresh the summary rows the given activity records (before and/or after a change) fall in
+async function refreshSummaries(records) {
+  const touched = records.filter(Boolean);
+  if (!touched.length) return;
+  const activities = await readTabRecords('activities');
+  for (const def of SUMMARY_TABS) {
+    const keys = new Set(touched
+      .filter(r => r.athlete_id && String(r[def.period] ?? '').trim())
+      .map(r => summaryKey(String(r[def.period]).trim(), r.athlete_id)));
+    if (!keys.size) continue;
+    const counts = await syncSummaryRows(def, keys, summarizeActivities(activities, def.period, keys));
+    console.log('[SUMMARY]', def.tab, 'refreshed', keys.size, 'row(s):', counts);
+  }
+}
+
+// For processors: a failure is logged, never fatal (the scheduled rebuild catches up)
+async function refreshSummariesQuietly(records) {
+  try {
+    await refreshSummaries(records);
+  } catch (err) {
+    console.error('[SUMMARY ERROR]', err?.response?.data || err.message || err);
+  }
+}
+
+// Recompute both tabs from the whole activities tab. Runs between queued events, never
+// alongside one, and a failed activities read throws before either tab is cleared.
+function rebuildSummaries() {
+  return whileQueueIdle(async () => {
+    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+    const activities = await readTabRecords('activities');
+    const result = {};
+    await getTables().withBatch(async () => {
+      for (const def of SUMMARY_TABS) {
+        await ensureTabWithHeaders(def.tab, def.headers);
+        const summaries = summarizeActivities(activities, def.period);
+        const now = new Date().toISOString();
+        await getTables().clearRows(def.tab);
+        if (summaries.size) await appendRecords(def.tab, [...summaries.values()].map(s => ({ ...s, updated_at: now })));
+        result[def.tab] = summaries.size;
+      }
+    });
+    console.log('[SUMMARY] rebuilt', result);
+    return result;
+  });
+}
+
+// ================================
+// Challenge engine (config-driven scoring)
+// ================================
+// Challenges come from CHALLENGES_PATH (JSON array, see challenges.example.json) when that
+// file exists, otherwise from the `challenges` tab (one row per challenge, sport_types
+// comma-separated, filters as JSON). Each activity is scored against every enabled
+// challenge whose [start, end] window (inclusive, activity local date) contains it, and
+// the results land in `challenge_scores`, one row per challenge + activity.
+//
+// metric: distance (km) | elevation (m) | moving_time (min) | count (1 per activity)
+//         | segment_time (best elapsed seconds on segment_id; lower is better)
+// filters: min_distance_m, max_distance_m, min_elev_gain_m, min_moving_time_s,
+//          night_only, five_k_plus_only, local_hour_from, local_hour_to,
+//          name_contains, athlete_ids, include_private (default false)
+// points:  arithmetic formula over value, distance_km, elevation_m, moving_time_min,
+//          elapsed_time_min, local_hour, is_night_run, is_5k_plus
+//          with + - * / ( ) and min/max/floor/ceil/round/abs. Defaults to "value", except
+//          for segment_time, which must set one: its value is seconds, so "value" would
+//          give slower efforts more points (e.g. "max(0, 600 - value)").
+const CHALLENGES_PATH = process.env.CHALLENGES_PATH || path.join(__dirname, 'challenges.json');
+const CHALLENGES_CACHE_MS = Number(process.env.CHALLENGES_CACHE_MS || 60 * 1000);
+const CHALLENGE_TAB_HEADERS = [
+  'id','name','start','end','sport_types','metric','segment_id','filters','points','enabled'
+];
+const CHALLENGE_SCORES_HEADERS = [
+  'challenge_id','challenge_name','activity_id','athlete_id','athlete_name',
+  'start_date_local','metric','value','points','computed_at'
+];
+const CHALLENGE_METRICS = new Set(['distance','elevation','moving_time','count','segment_time']);
+const FORMULA_VARS = new Set([
+  'value','distance_km','elevation_m','moving_time_min','elapsed_time_min','local_hour','is_night_run','is_5k_plus'
+]);
+const FORMULA_FUNCS = { min: Math.min, max: Math.max, floor: Math.floor, ceil: Math.ceil, round: Math.round, abs: Math.abs };
+let challengesCache = { at: 0, list: null };
+
+// Tiny recursive-descent compiler for points formulas, so nobody with sheet access can
+// run arbitrary JS through the `challenges` tab. Returns (vars) => number.
+function compilePointsFormula(src) {
+  const text = String(src || 'value');
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),]))/y;
+  let pos = 0, m;
+  while ((m = re.exec(text))) {
+    tokens.push(m[1] ? { n: Number(m[1]) } : { t: m[2] || m[3] });
+    pos = re.lastIndex;
+  }
+  const rest = text.slice(pos).trim();
+  if (rest) throw new Error(`Unexpected "${rest}" in points formula "${text}"`);
+
+  let i = 0;
+  const peek = () => tokens[i] && tokens[i].t;
+  const expect = (t) => {
+    if (peek() !== t) throw new Error(`Expected "${t}" in points formula "${text}"`);
+    i++;
+  };
+
+  function expr() {
+    let left = term();
+    while (peek() === '+' || peek() === '-') {
+      const op = tokens[i++].t, a = left, b = term();
+      left = op === '+' ? (v) => a(v) + b(v) : (v) => a(v) - b(v);
+    }
+    return left;
+  }
+  function term() {
+    let left = factor();
+    while (peek() === '*' || peek() === '/') {
+      const op = tokens[i++].t, a = left, b = factor();
+      left = op === '*' ? (v) => a(v) * b(v) : (v) => { const d = b(v); return d ? a(v) / d : 0; };
+    }
+    return left;
+  }
+  function factor() {
+    const tok = tokens[i++];
+    if (!tok) throw new Error(`Unexpected end of points formula "${text}"`);
+    if (typeof tok.n === 'number') return () => tok.n;
+    if (tok.t === '-') { const f = factor(); return (v) => -f(v); }
+    if (tok.t === '+') return factor();
+    if (tok.t === '(') { const e = expr(); expect(')'); return e; }
+    if (FORMULA_FUNCS[tok.t] && peek() === '(') {
+      i++;
+      const args = [expr()];
+      while (peek() === ',') { i++; args.push(expr()); }
+      expect(')');
+      const fn = FORMULA_FUNCS[tok.t];
+      return (v) => fn(...args.map(a => a(v)));
+    }
+    if (FORMULA_VARS.has(tok.t)) return (v) => v[tok.t];
+    throw new Error(`Unknown name "${tok.t}" in points formula "${text}"`);
+  }
+
+  const compiled = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].t}" in points formula "${text}"`);
+  return (vars) => {
+    const out = compiled(vars);
+    return Number.isFinite(out) ? Math.round(out * 100) / 100 : 0;
+  };
+}
+
+// Validate + normalize one raw challenge definition (file object or tab row)
+function normalizeChallenge(raw) {
+  const list = (v) => Array.isArray(v) ? v.map(String) : String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+  const filters = typeof raw.filters === 'string' ? (raw.filters.trim() ? JSON.parse(raw.filters) : {}) : (raw.filters || {});
+  const c = {
+    id: String(raw.id || '').trim(),
+    name: String(raw.name || raw.id || '').trim(),
+    start: String(raw.start || '').slice(0, 10),
+    end: String(raw.end || '').slice(0, 10),
+    sport_types: list(raw.sport_types),
+    metric: String(raw.metric || 'distance').trim(),
+    segment_id: raw.segment_id ? String(raw.segment_id).trim() : '',
+    filters,
+    points: String(raw.points || 'value'),
+    enabled: !(raw.enabled === false || /^(false|no|0)$/i.test(String(raw.enabled ?? '').trim()))
+  };
+  if (!c.id) throw new Error('challenge is missing an id');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(c.start) || !/^\d{4}-\d{2}-\d{2}$/.test(c.end)) throw new Error(`challenge ${c.id}: start/end must be YYYY-MM-DD`);
+  if (!CHALLENGE_METRICS.has(c.metric)) throw new Error(`challenge ${c.id}: unknown metric "${c.metric}"`);
+  if (c.metric === 'segment_time' && !c.segment_id) throw new Error(`challenge ${c.id}: segment_time needs a segment_id`);
+  if (c.metric === 'segment_time' && !String(raw.points ?? '').trim()) {
+    throw new Error(`challenge ${c.id}: segment_time needs a points formula (lower times must score more, e.g. "max(0, 600 - value)")`);
+  }
+  c.score = compilePointsFormula(c.points);
+  return c;
+}
+
+async function loadChallenges({ fresh = false } = {}) {
+  if (!fresh && challengesCache.list && Date.now() - challengesCache.at < CHALLENGES_CACHE_MS) return challengesCache.list;
+
+  let raws;
+  if (fs.existsSync(CHALLENGES_PATH)) {
+    raws = JSON.parse(fs.readFileSync(CHALLENGES_PATH, 'utf8'));
+    if (!Array.isArray(raws)) throw new Error(`${CHALLENGES_PATH} must contain a JSON array`);
+  } else {
+    await ensureTabWithHeaders('challenges', CHALLENGE_TAB_HEADERS); // reading a missing Sheets tab throws
+    raws = (await readTabRecords('challenges')).filter(r => r.id);
+  }
+
+  const list = [];
+  for (const raw of raws) {
+    try {
+      const c = normalizeChallenge(raw);
+      if (c.enabled) list.push(c);
+    } catch (err) {
+      console.error('[CHALLENGES] skipping invalid challenge:', err.message);
+    }
+  }
+  challengesCache = { at: Date.now(), list };
+  return list;
+}
+
+function challengeMatches(c, act) {
+  const day = String(act.start_date_local || '').slice(0, 10);
+  if (!day || day < c.start || day > c.end) return false;
+  if (c.sport_types.length && !c.sport_types.includes(String(act.sport_type || ''))) return false;
+
+  const f = c.filters;
+  if (!f.include_private && act.visibility === 'only_me') return false;
+  const distance = cellNumber(act.distance_m);
+  const hour = cellNumber(act.local_hour);
+  if (f.min_distance_m != null && distance < Number(f.min_distance_m)) return false;
+  if (f.max_distance_m != null && distance > Number(f.max_distance_m)) return false;
+  if (f.min_elev_gain_m != null && cellNumber(act.total_elev_gain_m) < Number(f.min_elev_gain_m)) return false;
+  if (f.min_moving_time_s != null && cellNumber(act.moving_time_s) < Number(f.min_moving_time_s)) return false;
+  if (f.night_only && !cellBool(act.is_night_run)) return false;
+  if (f.five_k_plus_only && !cellBool(act.is_5k_plus)) return false;
+  if (f.local_hour_from != null && hour < Number(f.local_hour_from)) return false;
+  if (f.local_hour_to != null && hour >= Number(f.local_hour_to)) return false;
+  if (f.name_contains && !String(act.name || '').toLowerCase().includes(String(f.name_contains).toLowerCase())) return false;
+  if (Array.isArray(f.athlete_ids) && f.athlete_ids.length && !f.athlete_ids.some(id => idsEqual(id, act.athlete_id))) return false;
+  return true;
+}
+
+// challenge_scores rows for one activity record + its effort records (both header-keyed)
+function scoreActivity(challenges, act, efforts, computedAt = new Date().toISOString()) {
+  const rows = [];
+  for (const c of challenges) {
+    if (!challengeMatches(c, act)) continue;
+
+    let value;
+    if (c.metric === 'distance') value = cellNumber(act.distance_m) / 1000;
+    else if (c.metric === 'elevation') value = cellNumber(act.total_elev_gain_m);
+    else if (c.metric === 'moving_time') value = cellNumber(act.moving_time_s) / 60;
+    else if (c.metric === 'count') value = 1;
+    else {
+      const times = efforts
+        .filter(e => idsEqual(e.segment_id, c.segment_id))
+        .map(e => cellNumber(e.elapsed_time_s))
+        .filter(t => t > 0);
+      if (!times.length) continue;
+      value = Math.min(...times);
+    }
+
+    const points = c.score({
+      value,
+      distance_km: cellNumber(act.distance_m) / 1000,
+      elevation_m: cellNumber(act.total_elev_gain_m),
+      moving_time_min: cellNumber(act.moving_time_s) / 60,
+      elapsed_time_min: cellNumber(act.elapsed_time_s) / 60,
+      local_hour: cellNumber(act.local_hour),
+      is_night_run: cellBool(act.is_night_run) ? 1 : 0,
+      is_5k_plus: cellBool(act.is_5k_plus) ? 1 : 0
+    });
+    rows.push([
+      c.id, c.name, act.activity_id, act.athlete_id, act.athlete_name || '',
+      act.start_date_local || '', c.metric, Math.round(value * 100) / 100, points, computedAt
+    ]);
+  }
+  return rows;
+}
+
+// Replace one activity's challenge_scores. Pass effortRecords when already at hand;
+// otherwise they're read from segment_efforts only if a segment challenge needs them.
+// Never throws: scoring trouble is logged and fixed with `npm run challenges:recompute`.
+async function rescoreActivity(activityRecord, effortRecords = null, { replace = true } = {}) {
+  try {
+    const challenges = await loadChallenges();
+    await ensureTabWithHeaders('challenge_scores', CHALLENGE_SCORES_HEADERS);
+    if (replace) {
+      await deleteRows('challenge_scores', await findRowIndicesByHeader('challenge_scores', 'activity_id', activityRecord.activity_id));
+    }
+    if (!challenges.length) return;
+
+    let efforts = effortRecords;
+    if (!efforts && challenges.some(c => c.metric === 'segment_time')) {
+      efforts = (await readTabRecords('segment_efforts')).filter(e => idsEqual(e.activity_id, activityRecord.activity_id));
+    }
+
+    const rows = scoreActivity(challenges, activityRecord, efforts || []);
+    if (rows.length) await appendRows('challenge_scores', rows);
+  } catch (err) {
+    console.error('[CHALLENGES ERROR]', activityRecord.activity_id, err?.response?.data || err.message || err);
+  }
+}
+
+// Wipe challenge_scores and score every activity again (after rules change)
+async function recomputeChallengeScores() {
+  const challenges = await loadChallenges({ fresh: true });
+  await ensureTabWithHeaders('challenge_scores', CHALLENGE_SCORES_HEADERS);
+
+  const activities = await readTabRecords('activities');
+  const effortsByActivity = new Map();
+  for (const e of await readTabRecords('segment_efforts')) {
+    const key = String(e.activity_id);
+    if (!effortsByActivity.has(key)) effortsByActivity.set(key, []);
+    effortsByActivity.get(key).push(e);
+  }
+
+  const computedAt = new Date().toISOString();
+  const rows = [];
+  for (const act of activities) {
+    if (!act.activity_id) continue;
+    rows.push(...scoreActivity(challenges, act, effortsByActivity.get(String(act.activity_id)) || [], computedAt));
+  }
+
+  await getTables().withBatch(async () => {
+    await getTables().clearRows('challenge_scores');
+    if (rows.length) await appendRows('challenge_scores', rows);
+  });
+  console.log('[CHALLENGES] recomputed', rows.length, 'score row(s) for', challenges.length, 'challenge(s) over', activities.length, 'activities');
+  return { challenges: challenges.length, activities: activities.length, scores: rows.length };
+}
+
+// ================================
+// Athlete processors (deauthorization)
+// ================================
+const AUDIT_HEADERS = ['ts','action','athlete_id','detail'];
+
+async function processAthleteEvent(evt) {
+  const { updates = {} } = evt;
+  // Strava sends the string 'false' (not a boolean) when an athlete revokes access
+  if (String(updates.authorized) === 'false') {
+    return processAthleteDeauthorize(evt);
+  }
+  console.log('[ATHLETE] ignoring athlete event', evt.object_id, updates);
+  return { ok: true };
+}
+
+// HARD DELETE: athlete revoked access -> remove tokens, activities + segment_efforts, then audit
+async function processAthleteDeauthorize(evt) {
+  try {
+    await purgeAthleteData(String(evt.owner_id || evt.object_id), 'deauthorize');
+    return { ok: true };
+  } catch (err) {
+    console.error('[DEAUTH ERROR]', err?.response?.data || err.message || err);
+    return processorFailure(err);
+  }
+}
+
+// Remove every row we hold for an athlete and audit it (also used by /me/delete).
+// Returns the per-tab counts written to the audit row.
+async function purgeAthleteData(athleteId, action) {
+  await ensureTabWithHeaders('athletes', ATHLETES_HEADERS);
+  await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+  await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+  await ensureTabWithHeaders('challenge_scores', CHALLENGE_SCORES_HEADERS);
+  await ensureTabWithHeaders('course_records', COURSE_RECORDS_HEADERS);
+  await ensureTabWithHeaders('audit', AUDIT_HEADERS);
+  await ensureTabWithHeaders('inbox', INBOX_HEADERS);
+  await ensureTabWithHeaders('dead_letter', DEAD_LETTER_HEADERS);
+
+  // 1) Remove the athlete row (tokens)
+  const athleteName = ((await readTabRecords('athletes')).find(r => idsEqual(r.athlete_id, athleteId)) || {}).athlete_name || '';
+  const athleteRows = await findRowIndicesByHeader('athletes', 'athlete_id', athleteId);
+  await deleteRows('athletes', athleteRows);
+
+  // 2) Remove every activity row owned by the athlete
+  const activityIds = new Set((await readTabRecords('activities'))
+    .filter(a => idsEqual(a.athlete_id, athleteId))
+    .map(a => String(a.activity_id)));
+  const activityRows = await findRowIndicesByHeader('activities', 'athlete_id', athleteId);
+  await deleteRows('activities', activityRows);
+
+  // 3) Remove every segment effort row owned by the athlete
+  const effortSegments = (await readTabRecords('segment_efforts'))
+    .filter(e => idsEqual(e.athlete_id, athleteId))
+    .map(e => e.segment_id);
+  const effortRows = await findRowIndicesByHeader('segment_efforts', 'athlete_id', athleteId);
+  await deleteRows('segment_efforts', effortRows);
+
+  // 4) Remove their challenge scores + course record history, then hand their CRs on;
+  //    then their summary rows and reconcile runs
+  await deleteRows('challenge_scores', await findRowIndicesByHeader('challenge_scores', 'athlete_id', athleteId));
+  await deleteRows('course_records', await findRowIndicesByHeader('course_records', 'athlete_id', athleteId));
+  if (effortSegments.length) await refreshCourseRecordsQuietly(effortSegments);
+  for (const { tab, headers } of [...SUMMARY_TABS, { tab: 'reconcile_log', headers: RECONCILE_HEADERS }]) {
+    await ensureTabWithHeaders(tab, headers);
+    await deleteRows(tab, await findRowIndicesByHeader(tab, 'athlete_id', athleteId));
+  }
+
+  // 5) Records taken from them stay, minus who held them before
+  const courseRecords = await readTabRecords('course_records');
+  for (let i = 0; i < courseRecords.length; i++) {
+    if (idsEqual(courseRecords[i].previous_athlete_id, athleteId)) {
+      await updateRecord('course_records', i + 2, { previous_athlete_id: '', previous_time_s: '' });
+    }
+  }
+
+  // 6) Their activity events (raw webhook payloads) in the inbox and dead letters, plus
+  //    anything of theirs still waiting in the queue
+  for (const tab of ['inbox', 'dead_letter']) {
+    const rows = (await readTabRecords(tab))
+      .map((r, i) => (r.object_type === 'activity' && idsEqual(r.owner_id, athleteId) ? i + 2 : 0))
+      .filter(Boolean);
+    await deleteRows(tab, rows);
+  }
+  if (!dryRunContext.getStore()) {
+    for (const e of inboxQ.filter(e => e !== activeEntry && e.evt && idsEqual(e.evt.owner_id, athleteId))) markEventDone(e);
+  }
+
+  // 7) Notifications about them or their activities, sent or still waiting
+  const notifications = await forgetAthleteNotifications(athleteId, athleteName, activityIds);
+
+  const detail = `athletes:${athleteRows.length} activities:${activityRows.length} efforts:${effortRows.length} notifications:${notifications}`;
+  await appendRows('audit', [[ new Date().toISOString(), action, athleteId, detail ]]);
+
+  console.log('[PURGE]', action, 'athlete', athleteId, detail);
+  return detail;
+}
+
+// ================================
+// Notifications (Discord / Slack / generic webhook)
+// ================================
+// Channels come from NOTIFICATIONS_PATH (JSON, see notifications.example.json). Webhook
+// URLs are secrets, so any url/header value may be "env:NAME" to read it from the
+// environment. Each channel lists the triggers it wants, optionally with its own template:
+//   athlete_joined     a new member completed /join-callback
+//   activity_ingested  a new activity was stored; `filter` takes the challenge filter keys
+//                      plus sport_types, private activities are skipped unless
+//                      include_private, and only activities that started within
+//                      NOTIFY_ACTIVITY_MAX_AGE_HOURS count (so a backfill stays quiet)
+//   course_record      someone broke a watched segment's crew record
+//   weekly_summary     last week's totals and top 5, sent once on weekly_summary.day at
+//                      weekly_summary.hour (crew clock)
+// Templates fill {{field}} from the trigger's data (see the DEFAULT_TEMPLATES fields).
+// Messages wait in an outbox drained every NOTIFY_DRAIN_MS; failed sends are retried with
+// backoff (honouring Retry-After) up to NOTIFY_MAX_ATTEMPTS. The outbox is journaled to
+// NOTIFY_OUTBOX_PATH the way the event queue is (add / retry / done records), so queued
+// and retrying messages survive a restart; keep it on the same persistent disk as
+// QUEUE_JOURNAL_PATH. Every outcome is
+// written to `notification_log`, whose sent keys stop a retried or replayed event from
+// announcing the same thing twice. A channel is silenced with "muted": true in the file
+// or from /admin (the `notification_mutes` tab, optionally until a given time).
+const NOTIFICATIONS_PATH = process.env.NOTIFICATIONS_PATH || path.join(__dirname, 'notifications.json');
+const NOTIFICATIONS_CACHE_MS = Number(process.env.NOTIFICATIONS_CACHE_MS || 60 * 1000);
+const NOTIFY_DRAIN_MS = Number(process.env.NOTIFY_DRAIN_MS || 5000);
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 5);
+const NOTIFY_RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS || 30000);
+const NOTIFY_ACTIVITY_MAX_AGE_HOURS = Number(process.env.NOTIFY_ACTIVITY_MAX_AGE_HOURS || 48);
+const NOTIFY_OUTBOX_PATH = process.env.NOTIFY_OUTBOX_PATH || path.join(__dirname, 'data', 'notify-outbox.jsonl');
+const NOTIFICATION_LOG_HEADERS = ['ts','channel','trigger','key','status','attempts','error'];
+const NOTIFICATION_MUTES_HEADERS = ['channel','muted_until','muted_at','muted_by'];
+const NOTIFY_CHANNEL_TYPES = new Set(['discord','slack','webhook']);
+const NOTIFY_WEEKDAYS = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
+const DEFAULT_TEMPLATES = {
+  athlete_joined: '👋 {{athlete_name}} just joined the SUC leaderboard!',
+  activity_ingested: '🏃 {{athlete_name}}: {{name}} ({{distance_km}} km, {{elev_gain_m}} m up, {{moving_time}}) {{url}}',
+  course_record: '🏆 New crew record on {{segment_name}}: {{athlete_name}} in {{elapsed_time}}{{previous}} {{url}}',
+  weekly_summary: '📅 Week of {{week_start}}: {{activities}} activities from {{athletes}} athletes, {{distance_km}} km and {{elev_gain_m}} m of climbing.\n{{top}}',
+  test: '🔔 Test message from the SUC leaderboard ({{channel}})'
+};
+// CLI runs leave the journal to the server, like the event queue
+const notifyOutbox = CLI_COMMAND ? [] : loadNotifyOutbox(); // [{ id, channel, trigger, key, dedupe, text, data, attempts, next_attempt_at, last_error? }]
+// Notifications raised while a queued event runs wait here until it succeeds (see
+// processQueuedEvent), so an attempt that fails and is retried announces nothing
+const heldNotifications = new AsyncLocalStorage();
+let notificationsCache = { at: 0, config: null };
+let sentNotificationKeys = null; // "channel|key" already delivered, loaded from notification_log
+let notifyBusy = false;
+let lastWeeklySummaryWeek = null;
+
+defineMetric('suc_notifications_total', 'counter', 'Notification outcomes by channel and status');
+
+if (!CLI_COMMAND) {
+  setInterval(drainNotifications, NOTIFY_DRAIN_MS);
+  setInterval(() => {
+    maybeSendWeeklySummary().catch(err => console.error('[NOTIFY ERROR] weekly summary:', describeError(err)));
+  }, 10 * 60 * 1000);
+}
+
+function loadNotifyOutbox() {
+  fs.mkdirSync(path.dirname(NOTIFY_OUTBOX_PATH), { recursive: true });
+  if (!fs.existsSync(NOTIFY_OUTBOX_PATH)) return [];
+
+  const pending = new Map();
+  for (const line of fs.readFileSync(NOTIFY_OUTBOX_PATH, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch { continue; } // torn write from a crash mid-append
+    const { op, ...fields } = rec;
+    if (op === 'add') pending.set(rec.id, fields);
+    else if (op === 'retry' && pending.has(rec.id)) Object.assign(pending.get(rec.id), fields);
+    else if (op === 'done') pending.delete(rec.id);
+  }
+
+  const entries = [...pending.values()];
+  compactNotifyOutbox(entries);
+  if (entries.length) console.log(`[NOTIFY] restored ${entries.length} waiting notification(s) from ${NOTIFY_OUTBOX_PATH}`);
+  return entries;
+}
+
+function compactNotifyOutbox(entries) {
+  const tmp = `${NOTIFY_OUTBOX_PATH}.tmp`;
+  fs.writeFileSync(tmp, entries.map(n => JSON.stringify({ op: 'add', ...n }) + '\n').join(''));
+  fs.renameSync(tmp, NOTIFY_OUTBOX_PATH);
 }
 
-async function appendRows(tabName, rows) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  await sheets.spreadsheets.values.append({
-    auth: jwt,
-    spreadsheetId,
-    range: `${tabName}!A1`,
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values: rows },
-  });
+function journalNotification(rec) {
+  if (!CLI_COMMAND) fs.appendFileSync(NOTIFY_OUTBOX_PATH, JSON.stringify(rec) + '\n');
 }
 
-async function readColumnA(tabName) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: `${tabName}!A2:A`
-  }).catch(() => ({ data: { values: [] } }));
-  const rows = (resp.data.values || []).flat().map(v => String(v));
-  return new Set(rows);
+function addToOutbox(n) {
+  journalNotification({ op: 'add', ...n });
+  notifyOutbox.push(n);
 }
 
-// Get 0-based header index by header text (exact match)
-async function getHeaderIndex(tabName, headerName) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: `${tabName}!1:1`
-  });
-  const headers = (resp.data.values && resp.data.values[0]) || [];
-  return headers.findIndex(h => String(h).trim() === String(headerName).trim());
+function removeFromOutbox(n) {
+  const i = notifyOutbox.indexOf(n);
+  if (i < 0) return;
+  journalNotification({ op: 'done', id: n.id });
+  notifyOutbox.splice(i, 1);
 }
 
-// Tolerant equality: match "15538647680" vs 15538647680 vs "1.553864768e+10"
-function idsEqual(a, b) {
-  if (a == null || b == null) return false;
-  const sa = String(a).trim();
-  const sb = String(b).trim();
-  if (sa === sb) return true;
-  const na = Number(sa), nb = Number(sb);
-  if (!Number.isNaN(na) && !Number.isNaN(nb)) return na === nb;
-  return false;
+function resolveEnvRef(value) {
+  const s = String(value ?? '');
+  return s.startsWith('env:') ? (process.env[s.slice(4)] || '') : s;
 }
 
-// Find ALL row indices (1-based) in a tab where the cell in the given header column matches value
-async function findRowIndicesByHeader(tabName, headerName, matchValue) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const colIdx0 = await getHeaderIndex(tabName, headerName);
-  if (colIdx0 < 0) return [];
+function normalizeChannel(raw) {
+  const c = {
+    id: String(raw.id || '').trim(),
+    type: String(raw.type || '').trim().toLowerCase(),
+    url: resolveEnvRef(raw.url).trim(),
+    headers: Object.fromEntries(Object.entries(raw.headers || {}).map(([k, v]) => [k, resolveEnvRef(v)])),
+    username: raw.username ? String(raw.username) : '',
+    muted: raw.muted === true,
+    triggers: (raw.triggers || []).map(t => (typeof t === 'string' ? { on: t } : t))
+  };
+  if (!c.id) throw new Error('notification channel is missing an id');
+  if (!NOTIFY_CHANNEL_TYPES.has(c.type)) throw new Error(`channel ${c.id}: type must be one of ${[...NOTIFY_CHANNEL_TYPES].join(', ')}`);
+  if (!/^https?:\/\//.test(c.url)) throw new Error(`channel ${c.id}: url is missing (or its env var is unset)`);
+  for (const t of c.triggers) {
+    if (!DEFAULT_TEMPLATES[t.on] || t.on === 'test') throw new Error(`channel ${c.id}: unknown trigger "${t.on}"`);
+  }
+  return c;
+}
 
-  // Read a wide range (A:ZZ) to ensure we pull entire rows, then check that column locally
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: `${tabName}!A2:ZZ`, // skip header row
-    valueRenderOption: 'FORMATTED_VALUE', // returns strings as displayed (might be scientific)
-    dateTimeRenderOption: 'FORMATTED_STRING'
-  }).catch(() => ({ data: { values: [] } }));
+function loadNotificationConfig({ fresh = false } = {}) {
+  if (!fresh && notificationsCache.config && Date.now() - notificationsCache.at < NOTIFICATIONS_CACHE_MS) return notificationsCache.config;
 
-  const rows = resp.data.values || [];
-  const matches = [];
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i] || [];
-    const cell = row[colIdx0];
-    if (idsEqual(cell, matchValue)) {
-      matches.push(i + 2); // 1-based row index (header is row 1)
+  const raw = fs.existsSync(NOTIFICATIONS_PATH) ? JSON.parse(fs.readFileSync(NOTIFICATIONS_PATH, 'utf8')) : {};
+  const channels = [];
+  for (const ch of raw.channels || []) {
+    try {
+      channels.push(normalizeChannel(ch));
+    } catch (err) {
+      console.error('[NOTIFY] skipping invalid channel:', err.message);
     }
   }
-  return matches;
+  const weekly = raw.weekly_summary || {};
+  const day = NOTIFY_WEEKDAYS.indexOf(String(weekly.day || NOTIFY_WEEKDAYS[WEEK_START_DAY]).toLowerCase());
+  const config = {
+    channels,
+    weekly_summary: { day: day >= 0 ? day : WEEK_START_DAY, hour: Number(weekly.hour ?? 8) }
+  };
+  notificationsCache = { at: Date.now(), config };
+  return config;
 }
 
-// Update a single cell by row index (1-based) and col index (0-based)
-async function updateSingleCell(tabName, rowIndex1, colIndex0, value) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const colA1 = colToA1(colIndex0 + 1);
-  const range = `${tabName}!${colA1}${rowIndex1}:${colA1}${rowIndex1}`;
-  await sheets.spreadsheets.values.update({
-    auth: jwt,
-    spreadsheetId,
-    range,
-    valueInputOption: 'RAW',
-    requestBody: { values: [[value]] }
+function renderTemplate(template, data) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_m, key) => {
+    const value = key.split('.').reduce((o, k) => (o == null ? undefined : o[k]), data);
+    return value == null ? '' : String(value);
   });
 }
 
-// Upsert athlete row by athlete_id (keeps sheet tidy)
-async function upsertAthleteRow({ athlete_id, athlete_name, access_token, refresh_token, expires_at }) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  await ensureTabWithHeaders('athletes', ['athlete_id','athlete_name','access_token','refresh_token','expires_at']);
-
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: 'athletes!A2:E',
-  }).catch(() => ({ data: { values: [] } }));
-
-  const rows = resp.data.values || [];
-  let foundIndex = -1;
-  for (let i = 0; i < rows.length; i++) {
-    if (String(rows[i][0]) === String(athlete_id)) { foundIndex = i; break; }
-  }
+// Same filter keys as challenges (plus sport_types); private activities need include_private
+function notificationFilterMatches(filter = {}, activity) {
+  const list = (v) => Array.isArray(v) ? v.map(String) : String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+  return challengeMatches({ start: '0000-00-00', end: '9999-12-31', sport_types: list(filter.sport_types), filters: filter }, activity);
+}
 
-  if (foundIndex === -1) {
-    await appendRows('athletes', [[
-      athlete_id, athlete_name, access_token, refresh_token, expires_at
-    ]]);
-  } else {
-    const rowIndex = foundIndex + 2; // sheet row
-    await sheets.spreadsheets.values.update({
-      auth: jwt,
-      spreadsheetId,
-      range: `athletes!A${rowIndex}:E${rowIndex}`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [[ athlete_id, athlete_name, access_token, refresh_token, expires_at ]] }
-    });
+async function loadSentNotificationKeys() {
+  if (sentNotificationKeys) return sentNotificationKeys;
+  await ensureTabWithHeaders('notification_log', NOTIFICATION_LOG_HEADERS);
+  const keys = new Set();
+  for (const r of await readTabRecords('notification_log')) {
+    if (r.status === 'sent' && r.key) keys.add(`${r.channel}|${r.key}`);
   }
+  sentNotificationKeys = keys;
+  return keys;
 }
 
-// ================================
-// Auth helpers (refresh tokens)
-// ================================
-async function getAthleteAuth(athleteId) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: 'athletes!A2:E' // A:id, B:name, C:access, D:refresh, E:expires_at
-  }).catch(() => ({ data: { values: [] } }));
-
-  const rows = resp.data.values || [];
-  for (let i = 0; i < rows.length; i++) {
-    const r = rows[i];
-    if (String(r[0]) === String(athleteId)) {
-      return {
-        rowIndex: i + 2,
-        athlete_name: r[1] || '',
-        access_token: r[2] || '',
-        refresh_token: r[3] || '',
-        expires_at: Number(r[4] || 0)
+// Queue `trigger` for every channel that subscribes to it. key identifies the thing being
+// announced, so it goes out at most once per channel. Never throws: a notification
+// problem must not fail the event that caused it. Returns the number of messages queued.
+async function notify(trigger, data, { key = '', activity = null } = {}) {
+  if (dryRunContext.getStore()) return 0;
+  try {
+    const sent = key ? await loadSentNotificationKeys() : new Set();
+    const held = heldNotifications.getStore();
+    let queued = 0;
+    for (const channel of loadNotificationConfig().channels) {
+      const rule = channel.triggers.find(t => t.on === trigger && (!activity || notificationFilterMatches(t.filter, activity)));
+      if (!rule) continue;
+      const dedupe = key ? `${channel.id}|${key}` : '';
+      if (dedupe && (sent.has(dedupe) || [...notifyOutbox, ...(held || [])].some(n => n.dedupe === dedupe))) continue;
+      const n = {
+        id: crypto.randomUUID(), channel: channel.id, trigger, key, dedupe,
+        text: renderTemplate(rule.template || DEFAULT_TEMPLATES[trigger], data),
+        data, attempts: 0, next_attempt_at: 0
       };
+      if (held) held.push(n); // journaled on release; until then the queued event replays it
+      else addToOutbox(n);
+      queued++;
     }
+    if (queued) console.log('[NOTIFY] queued', trigger, key || '', 'for', queued, 'channel(s)');
+    return queued;
+  } catch (err) {
+    console.error('[NOTIFY ERROR]', trigger, describeError(err));
+    return 0;
   }
-  return null;
-}
-
-async function writeAthleteTokens(rowIndex, access_token, refresh_token, expires_at) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  await sheets.spreadsheets.values.update({
-    auth: jwt,
-    spreadsheetId,
-    range: `athletes!C${rowIndex}:E${rowIndex}`, // C:access, D:refresh, E:expires_at
-    valueInputOption: 'RAW',
-    requestBody: { values: [[access_token, refresh_token, expires_at]] }
-  });
 }
 
-async function ensureFreshAccessToken(athleteId) {
-  const auth = await getAthleteAuth(athleteId);
-  if (!auth) {
-    console.warn('[AUTH] No athlete row for', athleteId);
-    return { access_token: null, athlete_name: null };
+// Hand notifications held back by a queued event to the outbox once the event succeeded
+function releaseNotifications(held) {
+  for (const n of held) {
+    if (!n.dedupe || !notifyOutbox.some(o => o.dedupe === n.dedupe)) addToOutbox(n);
   }
+}
 
-  const now = Math.floor(Date.now() / 1000);
-  if (auth.access_token && auth.expires_at && auth.expires_at - 60 > now) {
-    return { access_token: auth.access_token, athlete_name: auth.athlete_name };
+function notificationPayload(channel, n) {
+  if (channel.type === 'discord') {
+    // Athlete-supplied text (activity names) must never ping @everyone or roles
+    return { content: n.text.slice(0, 2000), username: channel.username || 'SUC Leaderboard', allowed_mentions: { parse: [] } };
   }
-
-  // refresh
-  try {
-    const { data } = await axios.post('https://www.strava.com/oauth/token', {
-      client_id: process.env.STRAVA_CLIENT_ID,
-      client_secret: process.env.STRAVA_CLIENT_SECRET,
-      grant_type: 'refresh_token',
-      refresh_token: auth.refresh_token
-    });
-
-    await writeAthleteTokens(auth.rowIndex, data.access_token, data.refresh_token, data.expires_at);
-    return { access_token: data.access_token, athlete_name: auth.athlete_name };
-  } catch (e) {
-    console.error('[TOKEN REFRESH ERROR]', e?.response?.data || e.message);
-    return { access_token: null, athlete_name: auth.athlete_name };
+  if (channel.type === 'slack') {
+    return { text: n.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') };
   }
+  return { trigger: n.trigger, key: n.key, text: n.text, data: n.data, sent_at: new Date().toISOString() };
 }
 
-// ================================
-// Sheet schema + mappers
-// ================================
-const ACTIVITIES_HEADERS = [
-  'activity_id','athlete_id','athlete_name','name','sport_type',
-  'distance_m','moving_time_s','elapsed_time_s','total_elev_gain_m',
-  'start_date','start_date_local','timezone','utc_offset_sec',
-  'start_lat','start_lng','gear_id',
-  'avg_speed_m_s','max_speed_m_s',
-  'has_heartrate','avg_heartrate','max_heartrate','suffer_score',
-  'kudos_count','comment_count','achievement_count',
-  'visibility','is_trainer','is_commute',
-  'device_name','map_polyline','created_at',
-  'is_night_run','is_5k_plus','local_hour','week_start','month',
-  'efforts_scanned'
-];
-
-const EFFORTS_HEADERS = [
-  'activity_id','athlete_id','segment_id','segment_name',
-  'elapsed_time_s','moving_time_s',
-  'start_date','start_date_local',
-  'pr_rank','kom_rank','distance_m',
-  'average_grade','elev_high_m','elev_low_m',
-  'segment_start_lat','segment_start_lng',
-  'segment_end_lat','segment_end_lng',
-  'week_start','month'
-];
-
-function mapActivityRow(athleteName, athleteId, a) {
-  const dLocal = new Date(a.start_date_local);
-  const localHour = dLocal.getHours();
-  const isNight = localHour >= 22;
-  const is5k = (a.distance || 0) >= 5000;
-
-  const weekStart = new Date(dLocal);
-  weekStart.setDate(dLocal.getDate() - dLocal.getDay());
-  weekStart.setHours(0,0,0,0);
-  const month = `${dLocal.getFullYear()}-${String(dLocal.getMonth()+1).padStart(2,'0')}`;
-
-  return [
-    a.id,
-    athleteId,
-    athleteName || '',
-    a.name || '',
-    a.sport_type || '',
-    a.distance || '',
-    a.moving_time || '',
-    a.elapsed_time || '',
-    a.total_elevation_gain || '',
-    a.start_date || '',
-    a.start_date_local || '',
-    a.timezone || '',
-    a.utc_offset || '',
-    (a.start_latlng && a.start_latlng[0]) || '',
-    (a.start_latlng && a.start_latlng[1]) || '',
-    a.gear_id || '',
-    a.average_speed || '',
-    a.max_speed || '',
-    !!a.has_heartrate,
-    a.average_heartrate || '',
-    a.max_heartrate || '',
-    a.suffer_score || '',
-    a.kudos_count || '',
-    a.comment_count || '',
-    a.achievement_count || '',
-    a.visibility || '',
-    a.trainer || '',
-    a.commute || '',
-    a.device_name || '',
-    (a.map && a.map.summary_polyline) || '',
-    a.created_at || '',
-    isNight,
-    is5k,
-    localHour,
-    weekStart.toISOString().split('T')[0],
-    month,
-    true // efforts scanned in webhook path
-  ];
+async function activeMutes() {
+  await ensureTabWithHeaders('notification_mutes', NOTIFICATION_MUTES_HEADERS);
+  const now = Date.now();
+  const muted = new Map(); // channel -> muted_until ('' = until unmuted)
+  for (const r of await readTabRecords('notification_mutes')) {
+    const until = String(r.muted_until || '').trim();
+    if (r.channel && (!until || Date.parse(until) > now)) muted.set(String(r.channel), until);
+  }
+  return muted;
 }
 
-function mapEffortRow(athleteId, act, e) {
-  const d = new Date(e.start_date_local);
-  const weekStart = new Date(d);
-  weekStart.setDate(d.getDate() - d.getDay());
-  weekStart.setHours(0,0,0,0);
-  const month = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`;
-  const s = e.segment || {};
-  return [
-    act.id,
-    athleteId,
-    s.id || '',
-    s.name || '',
-    e.elapsed_time || '',
-    e.moving_time || '',
-    e.start_date || '',
-    e.start_date_local || '',
-    e.pr_rank || '',
-    e.kom_rank || '',
-    s.distance || '',
-    s.average_grade || '',
-    s.elevation_high || '',
-    s.elevation_low || '',
-    (s.start_latlng && s.start_latlng[0]) || '',
-    (s.start_latlng && s.start_latlng[1]) || '',
-    (s.end_latlng && s.end_latlng[0]) || '',
-    (s.end_latlng && s.end_latlng[1]) || '',
-    weekStart.toISOString().split('T')[0],
-    month
-  ];
+async function finishNotification(n, status, error = '') {
+  removeFromOutbox(n);
+  if (status === 'sent' && n.dedupe && sentNotificationKeys) sentNotificationKeys.add(n.dedupe);
+  incMetric('suc_notifications_total', { channel: n.channel, status });
+  await appendRecords('notification_log', [{
+    ts: new Date().toISOString(), channel: n.channel, trigger: n.trigger, key: n.key,
+    status, attempts: n.attempts, error: String(error).slice(0, 1000)
+  }]);
 }
 
-// ================================
-// Activity processors
-// ================================
-async function processNewActivity(objectId, ownerId) {
+// Send everything that is due. Returns { sent, failed, muted, retrying }.
+async function drainNotifications() {
+  const summary = { sent: 0, failed: 0, muted: 0, retrying: 0 };
+  const due = notifyOutbox.filter(n => n.next_attempt_at <= Date.now());
+  if (notifyBusy || !due.length) return summary;
+  notifyBusy = true;
   try {
-    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
-    await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
-
-    // de-dupe by activity_id in activities!A
-    const existing = await readColumnA('activities');
-    if (existing.has(String(objectId))) {
-      console.log('[NEW ACT] duplicate, skipping', objectId);
-      return;
-    }
-
-    const { access_token, athlete_name } = await ensureFreshAccessToken(ownerId);
-    if (!access_token) {
-      console.warn('[NEW ACT] no usable access_token for owner', ownerId);
-      return;
-    }
-
-    const act = await axios.get(
-      `https://www.strava.com/api/v3/activities/${objectId}?include_all_efforts=true`,
-      { headers: { Authorization: `Bearer ${access_token}` } }
-    ).then(r => r.data);
+    await ensureTabWithHeaders('notification_log', NOTIFICATION_LOG_HEADERS);
+    const channels = new Map(loadNotificationConfig().channels.map(c => [c.id, c]));
+    const mutes = await activeMutes();
 
-    const activityRow = mapActivityRow(athlete_name, ownerId, act);
-    await appendRows('activities', [activityRow]);
+    for (const n of due) {
+      const channel = channels.get(n.channel);
+      if (!channel) {
+        await finishNotification(n, 'failed', 'channel no longer configured');
+        summary.failed++;
+        continue;
+      }
+      if (channel.muted || mutes.has(channel.id)) {
+        await finishNotification(n, 'muted');
+        summary.muted++;
+        continue;
+      }
 
-    const efforts = (act.segment_efforts || []);
-    if (efforts.length) {
-      const effortRows = efforts.map(e => mapEffortRow(ownerId, act, e));
-      await appendRows('segment_efforts', effortRows);
+      try {
+        n.attempts++;
+        await axios.post(channel.url, notificationPayload(channel, n), { headers: channel.headers, timeout: 10000 });
+        await finishNotification(n, 'sent');
+        summary.sent++;
+      } catch (err) {
+        const status = err.response?.status;
+        const permanent = status >= 400 && status < 500 && status !== 429; // bad URL/payload: retrying won't help
+        if (permanent || n.attempts >= NOTIFY_MAX_ATTEMPTS) {
+          console.error('[NOTIFY] giving up on', n.trigger, 'to', n.channel, '-', describeError(err));
+          await finishNotification(n, 'failed', describeError(err));
+          summary.failed++;
+        } else {
+          const retryAfter = Number(err.response?.headers?.['retry-after']) * 1000;
+          n.last_error = describeError(err);
+          n.next_attempt_at = Date.now() + (retryAfter > 0 ? retryAfter : NOTIFY_RETRY_BASE_MS * 2 ** (n.attempts - 1));
+          journalNotification({ op: 'retry', id: n.id, attempts: n.attempts, last_error: n.last_error, next_attempt_at: n.next_attempt_at });
+          console.warn('[NOTIFY] attempt', n.attempts, 'to', n.channel, 'failed, retry in', Math.round((n.next_attempt_at - Date.now()) / 1000), 's:', n.last_error);
+          summary.retrying++;
+        }
+      }
     }
-
-    console.log('[NEW ACT] appended activity', objectId, 'efforts:', efforts.length);
+    // Nothing waiting: shrink the journal back to empty
+    if (!notifyOutbox.length && !CLI_COMMAND) compactNotifyOutbox(notifyOutbox);
   } catch (err) {
-    console.error('[NEW ACT ERROR]', err?.response?.data || err.message || err);
+    console.error('[NOTIFY ERROR]', describeError(err));
+  } finally {
+    notifyBusy = false;
   }
+  return summary;
 }
 
-async function processActivityUpdate(evt) {
-  try {
-    const { object_id, owner_id, updates = {} } = evt;
-    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
+function requireChannel(channelId) {
+  const channel = loadNotificationConfig({ fresh: true }).channels.find(c => c.id === String(channelId || '').trim());
+  if (!channel) throw new RangeError(`Unknown notification channel "${channelId}"`);
+  return channel;
+}
 
-    // Ensure row exists; if not, fetch once
-    let rowIndex = await findActivityRowIndex(object_id);
-    if (!rowIndex) {
-      console.log('[UPDATE] activity not found, calling processNewActivity first', object_id);
-      await processNewActivity(object_id, owner_id);
-      rowIndex = await findActivityRowIndex(object_id);
-      if (!rowIndex) {
-        console.warn('[UPDATE] still no row after fetch, giving up for now', object_id);
-        return;
-      }
-    }
+// until: ISO time, a number of hours, or empty for "until unmuted"
+async function muteChannel(channelId, { until = '', by = '' } = {}) {
+  const channel = requireChannel(channelId);
+  let mutedUntil = '';
+  if (String(until).trim()) {
+    const hours = Number(until);
+    const ms = Number.isFinite(hours) ? Date.now() + hours * 3600 * 1000 : Date.parse(until);
+    if (Number.isNaN(ms)) throw new RangeError(`Bad until "${until}" (expected hours or an ISO time)`);
+    mutedUntil = new Date(ms).toISOString();
+  }
+  await ensureTabWithHeaders('notification_mutes', NOTIFICATION_MUTES_HEADERS);
+  const record = { channel: channel.id, muted_until: mutedUntil, muted_at: new Date().toISOString(), muted_by: by };
+  const [rowIndex] = await findRowIndicesByHeader('notification_mutes', 'channel', channel.id);
+  if (rowIndex) await updateRecord('notification_mutes', rowIndex, record);
+  else await appendRecords('notification_mutes', [record]);
+  console.log('[NOTIFY] muted', channel.id, mutedUntil ? `until ${mutedUntil}` : 'until unmuted');
+  return { channel: channel.id, muted_until: mutedUntil || null };
+}
 
-    // FAST PATH: apply webhook updates directly
-    const nameCol  = await getHeaderIndex('activities', 'name');
-    const visCol   = await getHeaderIndex('activities', 'visibility');
-    const sportCol = await getHeaderIndex('activities', 'sport_type');
+async function unmuteChannel(channelId) {
+  const channel = requireChannel(channelId);
+  await ensureTabWithHeaders('notification_mutes', NOTIFICATION_MUTES_HEADERS);
+  await deleteRows('notification_mutes', await findRowIndicesByHeader('notification_mutes', 'channel', channel.id));
+  console.log('[NOTIFY] unmuted', channel.id);
+  return { channel: channel.id, muted: false };
+}
 
-    if (typeof updates.title !== 'undefined' && nameCol >= 0) {
-      await updateSingleCell('activities', rowIndex, nameCol, updates.title);
-      console.log('[UPDATE] applied title from webhook for', object_id, '->', updates.title);
-    }
-    if (typeof updates.visibility !== 'undefined' && visCol >= 0) {
-      await updateSingleCell('activities', rowIndex, visCol, updates.visibility);
-      console.log('[UPDATE] applied visibility from webhook for', object_id, '->', updates.visibility);
-    } else if (typeof updates.private !== 'undefined' && visCol >= 0) {
-      const v = updates.private ? 'only_me' : 'everyone';
-      await updateSingleCell('activities', rowIndex, visCol, v);
-      console.log('[UPDATE] applied private->visibility for', object_id, '->', v);
-    }
-    if (typeof updates.type !== 'undefined' && sportCol >= 0) {
-      await updateSingleCell('activities', rowIndex, sportCol, updates.type);
-      console.log('[UPDATE] applied type from webhook for', object_id, '->', updates.type);
-    } else if (typeof updates.sport_type !== 'undefined' && sportCol >= 0) {
-      await updateSingleCell('activities', rowIndex, sportCol, updates.sport_type);
-      console.log('[UPDATE] applied sport_type from webhook for', object_id, '->', updates.sport_type);
-    }
+// Queue a test message for one channel (ignores its triggers)
+function sendTestNotification(channelId) {
+  const channel = requireChannel(channelId);
+  addToOutbox({
+    id: crypto.randomUUID(), channel: channel.id, trigger: 'test', key: '', dedupe: '',
+    text: renderTemplate(DEFAULT_TEMPLATES.test, { channel: channel.id }), data: {}, attempts: 0, next_attempt_at: 0
+  });
+  return { channel: channel.id, queued: 1 };
+}
 
-    // SLOW PATH: refresh full row to keep other fields fresh
-    const { access_token, athlete_name } = await ensureFreshAccessToken(owner_id);
-    if (!access_token) {
-      console.warn('[UPDATE] no usable access_token for owner', owner_id);
-      return;
-    }
+// For purgeAthleteData: drop waiting messages about the athlete (or naming them) and the
+// notification_log rows whose key points at them or their activities. Returns the number
+// of log rows removed.
+async function forgetAthleteNotifications(athleteId, athleteName, activityIds) {
+  const about = (key) => {
+    const [trigger, a, b] = String(key || '').split(':');
+    if (trigger === 'athlete_joined') return idsEqual(a, athleteId);
+    if (trigger === 'activity_ingested') return activityIds.has(String(a));
+    if (trigger === 'course_record') return activityIds.has(String(b));
+    return false;
+  };
 
-    const act = await axios.get(
-      `https://www.strava.com/api/v3/activities/${object_id}?include_all_efforts=false`,
-      { headers: { Authorization: `Bearer ${access_token}` } }
-    ).then(r => r.data);
+  if (!dryRunContext.getStore()) {
+    const waiting = notifyOutbox.filter(n => about(n.key) || idsEqual(n.data?.athlete_id, athleteId) || (athleteName && n.text.includes(athleteName)));
+    for (const n of waiting) removeFromOutbox(n);
+    if (waiting.length && !CLI_COMMAND) compactNotifyOutbox(notifyOutbox); // their text names them
+    if (waiting.length) console.log('[NOTIFY] dropped', waiting.length, 'waiting notification(s) for purged athlete', athleteId);
+  }
 
-    const fullRow = mapActivityRow(athlete_name, owner_id, act);
-    await overwriteActivityRow(rowIndex, fullRow);
-    console.log('[UPDATE] refreshed full activity row for', object_id, 'at row', rowIndex);
+  await ensureTabWithHeaders('notification_log', NOTIFICATION_LOG_HEADERS);
+  const rows = (await readTabRecords('notification_log'))
+    .map((r, i) => (about(r.key) ? i + 2 : 0))
+    .filter(Boolean);
+  await deleteRows('notification_log', rows);
+  if (rows.length) sentNotificationKeys = null; // reloaded from what's left
+  return rows.length;
+}
 
-  } catch (err) {
-    console.error('[UPDATE ERROR]', err?.response?.data || err.message || err);
-  }
+// Channels, mutes and what's waiting (diagnostics + admin page)
+async function notificationStatus() {
+  const { channels, weekly_summary } = loadNotificationConfig();
+  const mutes = await activeMutes();
+  return {
+    config: NOTIFICATIONS_PATH,
+    channels: channels.map(c => ({
+      id: c.id,
+      type: c.type,
+      triggers: c.triggers.map(t => t.on),
+      muted: c.muted || mutes.has(c.id),
+      muted_until: mutes.get(c.id) || null
+    })),
+    weekly_summary: { day: NOTIFY_WEEKDAYS[weekly_summary.day], hour: weekly_summary.hour, last_sent_week: lastWeeklySummaryWeek },
+    outbox: notifyOutbox.length,
+    retrying: notifyOutbox.filter(n => n.attempts).length
+  };
 }
 
-// HARD DELETE: remove rows from activities + segment_efforts
-async function processActivityDelete(evt) {
-  try {
-    const { object_id } = evt;
-    const idStr = String(object_id);
+// ---------- Trigger data ----------
+function activityNotificationData(activity) {
+  return {
+    ...activity,
+    distance_km: (cellNumber(activity.distance_m) / 1000).toFixed(1),
+    elev_gain_m: Math.round(cellNumber(activity.total_elev_gain_m)),
+    moving_time: formatSegmentTime(activity.moving_time_s),
+    url: `https://www.strava.com/activities/${activity.activity_id}`
+  };
+}
 
-    await ensureTabWithHeaders('activities', ACTIVITIES_HEADERS);
-    await ensureTabWithHeaders('segment_efforts', EFFORTS_HEADERS);
+// Announce a freshly stored activity (skips old ones, e.g. from a backfill)
+async function notifyActivityIngested(activity) {
+  const started = Date.parse(activity.start_date);
+  if (!(Date.now() - started <= NOTIFY_ACTIVITY_MAX_AGE_HOURS * 3600 * 1000)) return 0;
+  return notify('activity_ingested', activityNotificationData(activity), { key: `activity_ingested:${activity.activity_id}`, activity });
+}
 
-    // 1) Delete activity rows
-    const activityRows = await findRowIndicesByHeader('activities', 'activity_id', idStr);
-    if (activityRows.length) {
-      await deleteRows('activities', activityRows);
-      console.log('[DELETE] removed activity rows for', idStr, activityRows);
-    } else {
-      console.log('[DELETE] no activities rows found for', idStr);
-    }
+// rows: course_records rows appended by refreshCourseRecords; previous: segment -> old holder
+async function notifyCourseRecords(rows, previous) {
+  for (const [segment_id, segment_name, athlete_id, athlete_name, activity_id, elapsed_time_s, , , , reason] of rows) {
+    if (reason !== 'new_record') continue;
+    const prev = previous.get(String(segment_id));
+    await notify('course_record', {
+      segment_id, segment_name, athlete_id, athlete_name, activity_id, elapsed_time_s,
+      elapsed_time: formatSegmentTime(elapsed_time_s),
+      previous: prev && prev.athlete_id ? ` (was ${prev.athlete_name || prev.athlete_id}, ${formatSegmentTime(prev.elapsed_time_s)})` : '',
+      url: `https://www.strava.com/segments/${segment_id}`
+    }, { key: `course_record:${segment_id}:${activity_id}:${elapsed_time_s}` });
+  }
+}
 
-    // 2) Delete all related segment_efforts rows
-    const effortRows   = await findRowIndicesByHeader('segment_efforts', 'activity_id', idStr);
-    if (effortRows.length) {
-      await deleteRows('segment_efforts', effortRows);
-      console.log('[DELETE] removed segment_efforts rows for', idStr, effortRows.length);
-    } else {
-      console.log('[DELETE] no segment_efforts rows found for', idStr);
-    }
+function shiftDay(isoDay, days) {
+  const d = new Date(`${isoDay}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
 
-  } catch (err) {
-    console.error('[DELETE ERROR]', err?.response?.data || err.message || err);
+async function buildWeeklySummary(week) {
+  const [distance, elevation] = await Promise.all([
+    computeStandings({ period: 'week', metric: 'distance', key: week }),
+    computeStandings({ period: 'week', metric: 'elevation', key: week })
+  ]);
+  const sum = (list) => list.reduce((s, e) => s + e.value, 0);
+  return {
+    week_start: week,
+    week_end: shiftDay(week, 6),
+    athletes: distance.standings.length,
+    activities: distance.standings.reduce((n, e) => n + e.activities, 0),
+    distance_km: sum(distance.standings).toFixed(1),
+    elev_gain_m: Math.round(sum(elevation.standings)),
+    leader_name: distance.standings[0] ? distance.standings[0].athlete_name : '',
+    top: distance.standings.slice(0, 5).map(e => `${e.rank}. ${e.athlete_name} — ${e.value} km`).join('\n')
+  };
+}
+
+// week: a week_start key; defaults to the week that just finished on the crew clock
+async function sendWeeklySummary(week = shiftDay(currentPeriodKey('week'), -7)) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(week))) throw new RangeError(`Bad week "${week}" (expected its YYYY-MM-DD week_start)`);
+  const data = await buildWeeklySummary(week);
+  if (!data.activities) {
+    console.log('[NOTIFY] no activities in week', week, '- weekly summary skipped');
+    return { week, activities: 0, queued: 0 };
   }
+  return { week, activities: data.activities, queued: await notify('weekly_summary', data, { key: `weekly_summary:${week}` }) };
+}
+
+async function maybeSendWeeklySummary() {
+  const { channels, weekly_summary } = loadNotificationConfig();
+  if (!channels.some(c => c.triggers.some(t => t.on === 'weekly_summary'))) return null;
+  const now = localDateParts(new Date().toISOString(), null, CREW_TIMEZONE);
+  if (now.weekday !== weekly_summary.day || now.hour < weekly_summary.hour) return null;
+  const week = shiftDay(currentPeriodKey('week'), -7);
+  if (lastWeeklySummaryWeek === week) return null;
+  const result = await sendWeeklySummary(week);
+  lastWeeklySummaryWeek = week;
+  return result;
 }
 
 // ================================
-// Sheet row locate/overwrite/delete
+// Schema migrations (`npm run schema:migrate`)
 // ================================
-async function findActivityRowIndex(activityId) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: 'activities!A2:A'
-  }).catch(() => ({ data: { values: [] } }));
+// Versioned steps that bring existing tabs in line with tabSchemas(); applied versions are
+// recorded in `schema_migrations`. Never edit or renumber a migration that has run
+// somewhere: add a new one (e.g. new column -> addMissingColumns, then a backfill).
+// Until they've run, writes to a tab whose header row doesn't match refuse with a
+// SchemaMismatchError instead of shifting data.
+const SCHEMA_MIGRATIONS_HEADERS = ['version','name','applied_at','detail'];
+const SCHEMA_MIGRATIONS = [
+  { version: 1, name: 'add missing columns to existing tabs', up: () => addMissingColumns() },
+  { version: 2, name: 'move columns into schema order', up: () => reorderColumns() },
+  { version: 3, name: 'backfill derived date fields', up: async () => JSON.stringify(await recomputeDerivedFields()) }
+];
 
-  const vals = resp.data.values || [];
-  for (let i = 0; i < vals.length; i++) {
-    if (String(vals[i][0]) === String(activityId)) {
-      return i + 2; // actual sheet row
-    }
+// Schema tabs that already exist (the rest get full headers when first used)
+async function existingSchemaTabs() {
+  const out = [];
+  for (const [tab, expected] of Object.entries(tabSchemas())) {
+    const headers = (await getTables().getHeaders(tab).catch(() => [])).map(h => String(h).trim());
+    if (headers.length) out.push({ tab, expected, headers });
   }
-  return null;
+  return out;
 }
 
-async function overwriteActivityRow(rowIndex, rowValues) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const endCol = colToA1(ACTIVITIES_HEADERS.length);
-  await sheets.spreadsheets.values.update({
-    auth: jwt,
-    spreadsheetId,
-    range: `activities!A${rowIndex}:${endCol}${rowIndex}`,
-    valueInputOption: 'RAW',
-    requestBody: { values: [rowValues] }
-  });
+// Missing columns go on the end; reorderColumns moves them into place
+async function addMissingColumns() {
+  const added = [];
+  for (const { tab, expected, headers } of await existingSchemaTabs()) {
+    const missing = expected.filter(h => !headers.includes(h));
+    if (!missing.length) continue;
+    await getTables().addHeaders(tab, missing);
+    added.push(`${tab}: ${missing.join(', ')}`);
+  }
+  return added.join('; ');
 }
 
-// Return ALL row indices (1-based) in tab where column A equals value (skips header)
-async function findRowIndicesByFirstColumn(tabName, aValue) {
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  const resp = await sheets.spreadsheets.values.get({
-    auth: jwt,
-    spreadsheetId,
-    range: `${tabName}!A2:A`
-  }).catch(() => ({ data: { values: [] } }));
-
-  const rows = resp.data.values || [];
-  const matches = [];
-  const target = String(aValue);
-  for (let i = 0; i < rows.length; i++) {
-    if (String(rows[i][0]) === target) {
-      matches.push(i + 2); // actual sheet row (header is row 1)
+// Expected columns first, in schema order; extra (hand-added) columns keep their relative
+// order after them. Columns move whole, data included, one move at a time.
+async function reorderColumns() {
+  const moved = [];
+  for (const { tab, expected, headers } of await existingSchemaTabs()) {
+    const current = [...headers];
+    let moves = 0;
+    for (let target = 0; target < expected.length; target++) {
+      const from = current.indexOf(expected[target]);
+      if (from < 0 || from === target) continue;
+      await getTables().moveColumn(tab, from, target);
+      current.splice(target, 0, current.splice(from, 1)[0]);
+      moves++;
     }
+    if (moves) moved.push(`${tab}: ${moves} move(s)`);
   }
-  return matches;
+  return moved.join('; ');
 }
 
-// Batch delete rows by 1-based indices (descending to avoid index shift)
-async function deleteRows(tabName, rowIndices1Based) {
-  if (!rowIndices1Based.length) return;
+async function appliedMigrations() {
+  await ensureTabWithHeaders('schema_migrations', SCHEMA_MIGRATIONS_HEADERS);
+  return new Set((await readTabRecords('schema_migrations')).map(r => Number(r.version)));
+}
 
-  const { sheets, jwt, spreadsheetId } = await getSheetsClient();
-  // Need the sheetId (gid) for DeleteDimensionRequest
-  const meta = await sheets.spreadsheets.get({ auth: jwt, spreadsheetId });
-  const theSheet = (meta.data.sheets || []).find(s => s.properties.title === tabName);
-  if (!theSheet) return;
-  const sheetId = theSheet.properties.sheetId;
-
-  // Sort descending so earlier deletes don't shift later positions
-  const sorted = [...rowIndices1Based].sort((a,b) => b - a);
-
-  const requests = sorted.map(rowIndex => ({
-    deleteDimension: {
-      range: {
-        sheetId,
-        dimension: 'ROWS',
-        startIndex: rowIndex - 1, // 0-based, inclusive
-        endIndex: rowIndex     // 0-based, exclusive
-      }
+// Pending migrations + every existing tab whose header row writes would refuse
+async function schemaStatus() {
+  const applied = await appliedMigrations();
+  const problems = [];
+  for (const { tab } of await existingSchemaTabs()) {
+    try {
+      await assertTabSchema(tab, { positional: true });
+    } catch (err) {
+      if (!(err instanceof SchemaMismatchError)) throw err;
+      problems.push(err.message);
     }
-  }));
+  }
+  return {
+    version: Math.max(0, ...applied),
+    pending: SCHEMA_MIGRATIONS.filter(m => !applied.has(m.version)).map(m => `${m.version}: ${m.name}`),
+    problems
+  };
+}
 
-  await sheets.spreadsheets.batchUpdate({
-    auth: jwt,
-    spreadsheetId,
-    requestBody: { requests }
-  });
+async function migrateSchema() {
+  const applied = await appliedMigrations();
+  const ran = [];
+  for (const m of SCHEMA_MIGRATIONS) {
+    if (applied.has(m.version)) continue;
+    console.log(`[SCHEMA] applying ${m.version}: ${m.name}`);
+    const detail = (await m.up()) || '';
+    await appendRows('schema_migrations', [[ m.version, m.name, new Date().toISOString(), detail ]]);
+    ran.push({ version: m.version, name: m.name, detail });
+  }
+  const status = await schemaStatus();
+  console.log('[SCHEMA]', ran.length ? `applied ${ran.length} migration(s)` : 'already up to date', '- version', status.version);
+  return { applied: ran, ...status };
+}
 
-  console.log(`[SHEETS] deleted ${sorted.length} row(s) from ${tabName}`);
+// ================================
+// Sheet row locate/delete
+// ================================
+async function findActivityRowIndex(activityId) {
+  const [rowIndex] = await findRowIndicesByHeader('activities', 'activity_id', activityId);
+  return rowIndex || null; // actual sheet row
+}
 
+// Delete rows by 1-based indices
+async function deleteRows(tabName, rowIndices1Based) {
+  if (!rowIndices1Based.length) return;
+  await getTables().deleteRows(tabName, rowIndices1Based);
+  console.log(`[SHEETS] deleted ${rowIndices1Based.length} row(s) from ${tabName}`);
+}
 
-  
+// ================================
+// CLI (one-off admin commands, see package.json scripts)
+// ================================
+const CLI_HANDLERS = {
+  'subscription:view': () => viewPushSubscription(),
+  'subscription:create': () => createPushSubscription(),
+  'subscription:delete': ([id]) => deletePushSubscription(id).then(deleted => ({ deleted })),
+  'tokens:rotate-key': () => rotateTokenEncryption(),
+  'challenges:recompute': () => recomputeChallengeScores(),
+  'derived:recompute': () => recomputeDerivedFields(),
+  'summaries:rebuild': () => rebuildSummaries(),
+  'schema:status': () => schemaStatus(),
+  'schema:migrate': () => migrateSchema(),
+  'notifications:status': () => notificationStatus(),
+  'notifications:test': async ([channel]) => {
+    sendTestNotification(channel);
+    return drainNotifications();
+  },
+  'notifications:weekly': async ([week]) => ({ ...(await sendWeeklySummary(week || undefined)), ...(await drainNotifications()) }),
+  // replay --since=2024-05-01 --until=2024-05-02 [--owner_id=..] [--object_id=..] [--aspect_type=..] [--dry-run]
+  replay: (args) => {
+    const opts = parseCliOptions(args);
+    return replayInboxEvents(opts, { dryRun: !!opts['dry-run'] || !!opts.dry_run, inline: true });
+  },
+  'segments:prune': () => pruneUnwatchedEfforts(),
+  'segments:records': async () => ({
+    changes: (await refreshCourseRecords((await loadWatchedSegments({ fresh: true })).keys())).length
+  })
 };
 
+// --key=value and bare --flag (true) arguments
+function parseCliOptions(args) {
+  const opts = {};
+  for (const arg of args) {
+    const m = String(arg).match(/^--([^=]+)(?:=(.*))?$/);
+    if (m) opts[m[1]] = typeof m[2] === 'undefined' ? true : m[2];
+  }
+  return opts;
+}
+
+async function runCliCommand(command, args) {
+  const handler = CLI_HANDLERS[command];
+  if (!handler) {
+    console.error(`Unknown command "${command}". Available: ${Object.keys(CLI_HANDLERS).join(', ')}`);
+    process.exit(1);
+  }
+  try {
+    const result = await handler(args);
+    if (typeof result !== 'undefined') console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  } catch (err) {
+    console.error('[CLI ERROR]', err?.response?.data || err.message || err);
+    process.exit(1);
+  }
+}
+
+if (CLI_COMMAND) runCliCommand(CLI_COMMAND, process.argv.slice(3));
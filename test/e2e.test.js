@@ -0,0 +1,530 @@
+// test/e2e.test.js — webhook -> queue -> processors -> sheet, fully offline
+// ---------------------------------------------------------------------------------------------
+// Boots index.js as a child process against the local Strava, Sheets and chat stand-ins
+// in test/fakes (STRAVA_BASE_URL / GOOGLE_SHEETS_BASE_URL / a notifications.json pointing
+// at the chat fake) and drives it over HTTP the way Strava and an athlete would. Run with
+// `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createFakeStrava } = require('./fakes/strava');
+const { createFakeSheets } = require('./fakes/sheets');
+const { createFakeChat } = require('./fakes/chat');
+
+const ATHLETE = { id: 101, firstname: 'Ann', lastname: 'Runner' };
+const WATCHED_SEGMENT = 900;
+const ADMIN_TOKEN = 'e2e-admin-token';
+
+const strava = createFakeStrava();
+const sheets = createFakeSheets();
+const chat = createFakeChat();
+let app = null;
+let appUrl = '';
+let tmpDir = '';
+let chatUrl = '';
+const appOutput = [];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function waitFor(check, what, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) assert.fail(`timed out waiting for ${what}\n--- app output ---\n${appOutput.join('').slice(-4000)}`);
+    await new Promise(r => setTimeout(r, 250));
+  }
+}
+
+function activity(id, overrides = {}) {
+  return {
+    id,
+    athlete: { id: ATHLETE.id },
+    name: `Run ${id}`,
+    sport_type: 'Run',
+    distance: 10000,
+    moving_time: 3000,
+    elapsed_time: 3100,
+    total_elevation_gain: 120,
+    start_date: '2026-10-03T14:00:00Z',
+    start_date_local: '2026-10-03T07:00:00Z',
+    timezone: '(GMT-08:00) America/Los_Angeles',
+    utc_offset: -25200,
+    visibility: 'everyone',
+    segment_efforts: [{
+      segment: { id: WATCHED_SEGMENT, name: 'Hill Climb' },
+      elapsed_time: 600,
+      moving_time: 590,
+      start_date: '2026-10-03T14:10:00Z',
+      start_date_local: '2026-10-03T07:10:00Z',
+      pr_rank: null,
+      kom_rank: null
+    }],
+    ...overrides
+  };
+}
+
+let eventTime = 1790000000;
+function webhook(objectId, aspectType, extra = {}) {
+  return {
+    object_type: 'activity',
+    aspect_type: aspectType,
+    object_id: objectId,
+    owner_id: ATHLETE.id,
+    subscription_id: 1,
+    event_time: eventTime++,
+    updates: {},
+    ...extra
+  };
+}
+
+async function postWebhook(evt) {
+  const res = await fetch(`${appUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(evt)
+  });
+  assert.equal(res.status, 200);
+}
+
+// Walk /join -> Strava consent -> /join-callback for the athlete registered under code
+async function joinAthlete(code) {
+  const joinPage = await (await fetch(`${appUrl}/join`)).text();
+  const authorizeUrl = new URL(joinPage.match(/href="([^"]*\/oauth\/authorize[^"]*)"/)[1].replace(/&amp;/g, '&'));
+  const params = new URLSearchParams({ code, state: authorizeUrl.searchParams.get('state'), scope: 'read,activity:read' });
+  return fetch(`${appUrl}/join-callback?${params}`);
+}
+
+const rowsFor = (tab, activityId) => sheets.records(tab).filter(r => r.activity_id === String(activityId));
+
+before(async () => {
+  let stravaUrl, sheetsUrl, port;
+  [stravaUrl, sheetsUrl, chatUrl, port] = await Promise.all([strava.listen(), sheets.listen(), chat.listen(), freePort()]);
+  appUrl = `http://127.0.0.1:${port}`;
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'suc-e2e-'));
+  fs.writeFileSync(path.join(tmpDir, 'notifications.json'), JSON.stringify({
+    channels: [{ id: 'crew', type: 'discord', url: `${chatUrl}/hooks/crew`, triggers: ['athlete_joined', 'activity_ingested', 'course_record'] }]
+  }));
+  const season = { start: '2026-09-01', end: '2026-12-31', metric: 'segment_time', segment_id: String(WATCHED_SEGMENT) };
+  fs.writeFileSync(path.join(tmpDir, 'challenges.json'), JSON.stringify([
+    { id: 'hill-fastest', name: 'Hill Climb (fastest)', ...season, points: 'max(0, 900 - value)' },
+    { id: 'hill-no-points', name: 'Hill Climb (no formula)', ...season }
+  ]));
+
+  app = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: tmpDir, // keeps a developer's .env out of the run
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LOG_FORMAT: 'json',
+      STRAVA_BASE_URL: stravaUrl,
+      STRAVA_CLIENT_ID: '1234',
+      STRAVA_CLIENT_SECRET: 'e2e-client-secret',
+      STRAVA_VERIFY_TOKEN: 'e2e-verify',
+      REDIRECT_URI: `${appUrl}/join-callback`,
+      OAUTH_STATE_SECRET: 'e2e-state-secret',
+      TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex'),
+      STORAGE_BACKEND: 'sheets',
+      GOOGLE_SHEETS_BASE_URL: sheetsUrl,
+      GOOGLE_SHEET_ID: 'e2e-sheet',
+      GOOGLE_SERVICE_EMAIL: '',
+      QUEUE_JOURNAL_PATH: path.join(tmpDir, 'queue.jsonl'),
+      CHALLENGES_PATH: path.join(tmpDir, 'challenges.json'),
+      NOTIFICATIONS_PATH: path.join(tmpDir, 'notifications.json'),
+      NOTIFY_OUTBOX_PATH: path.join(tmpDir, 'notify-outbox.jsonl'),
+      NOTIFY_DRAIN_MS: '500',
+      NOTIFY_RETRY_BASE_MS: '500',
+      NOTIFY_ACTIVITY_MAX_AGE_HOURS: String(24 * 365 * 100), // the fixtures' fixed dates still count as new
+      WATCHED_SEGMENT_IDS: String(WATCHED_SEGMENT),
+      WATCHED_SEGMENTS_CACHE_MS: '1', // re-read per activity (headers included), so a test
+      SHEETS_META_TTL_MS: '1',        // can fail that read
+      QUEUE_RETRY_BASE_MS: '500',
+      ADMIN_TOKEN,
+      RECONCILE_INTERVAL_MINUTES: '0',
+      RECONCILE_LOOKBACK_DAYS: String(365 * 100),
+      EFFORTS_SWEEP_INTERVAL_MINUTES: '0',
+      SHUTDOWN_GRACE_MS: '2000'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  app.stdout.on('data', d => appOutput.push(String(d)));
+  app.stderr.on('data', d => appOutput.push(String(d)));
+
+  await waitFor(async () => {
+    try { return (await fetch(`${appUrl}/health`)).ok; } catch { return false; }
+  }, 'the app to start');
+});
+
+after(async () => {
+  if (app && app.exitCode === null) {
+    const exited = new Promise(resolve => app.once('exit', resolve));
+    app.kill('SIGTERM');
+    await exited;
+  }
+  await Promise.all([strava.close(), sheets.close(), chat.close()]);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('join: OAuth callback stores the athlete with encrypted tokens', async () => {
+  strava.addAthlete({ ...ATHLETE, code: 'join-code' });
+  chat.failNext(1); // the join announcement has to survive one failed post
+
+  const res = await joinAthlete('join-code');
+  assert.equal(res.status, 200);
+
+  const [row] = sheets.records('athletes');
+  assert.equal(row.athlete_id, String(ATHLETE.id));
+  assert.equal(row.athlete_name, 'Ann Runner');
+  assert.ok(row.access_token && !row.access_token.startsWith('at-'), 'access token is stored encrypted');
+  assert.ok(Number(row.expires_at) > Date.now() / 1000);
+});
+
+test('create: a new activity lands in activities and its watched effort in segment_efforts', async () => {
+  strava.putActivity(activity(5001));
+  await postWebhook(webhook(5001, 'create'));
+
+  const [row] = await waitFor(() => rowsFor('activities', 5001).length && rowsFor('activities', 5001), 'activity 5001');
+  assert.equal(row.athlete_id, String(ATHLETE.id));
+  assert.equal(row.name, 'Run 5001');
+  assert.equal(Number(row.distance_m), 10000);
+  assert.equal(row.local_hour, '7');
+
+  const efforts = rowsFor('segment_efforts', 5001);
+  assert.equal(efforts.length, 1);
+  assert.equal(efforts[0].segment_id, String(WATCHED_SEGMENT));
+  // The join's backfill may queue 5001 too; each event gets its own inbox row, coalesced or not
+  const logged = sheets.records('inbox').filter(r => r.object_id === '5001').map(r => JSON.parse(r.raw_json));
+  assert.equal(logged.filter(e => !e.source).length, 1);
+  assert.ok(logged.every(e => !e.source || e.source === 'backfill'));
+});
+
+test('update: a changed activity is rewritten in place and its efforts resynced', async () => {
+  strava.putActivity(activity(5001, { name: 'Renamed run', distance: 12000, segment_efforts: [] }));
+  await postWebhook(webhook(5001, 'update', { updates: { title: 'Renamed run' } }));
+
+  await waitFor(() => rowsFor('activities', 5001).some(r => r.distance_m === '12000'), 'activity 5001 to be updated');
+  const rows = rowsFor('activities', 5001);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].name, 'Renamed run');
+  await waitFor(() => rowsFor('segment_efforts', 5001).length === 0, 'the dropped effort to be removed');
+});
+
+test('token refresh: an expired access token is refreshed before fetching', async () => {
+  const [athlete] = sheets.records('athletes');
+  const oldToken = athlete.access_token;
+  sheets.setCell('athletes', athlete._row, 'expires_at', Math.floor(Date.now() / 1000) - 10);
+
+  strava.putActivity(activity(5002));
+  await postWebhook(webhook(5002, 'create'));
+
+  await waitFor(() => rowsFor('activities', 5002).length, 'activity 5002');
+  assert.equal(strava.requests.filter(r => r.path === '/oauth/token' && r.grant_type === 'refresh_token').length, 1);
+  const [refreshed] = sheets.records('athletes');
+  assert.notEqual(refreshed.access_token, oldToken);
+  assert.ok(Number(refreshed.expires_at) > Date.now() / 1000);
+});
+
+test('duplicate: a redelivered webhook is processed once', async () => {
+  strava.putActivity(activity(5003));
+  const evt = webhook(5003, 'create');
+  await postWebhook(evt);
+  await postWebhook(evt);
+
+  await waitFor(() => rowsFor('activities', 5003).length, 'activity 5003');
+  await new Promise(r => setTimeout(r, 3500)); // one more drain cycle for a stray copy to show up
+  assert.equal(rowsFor('activities', 5003).length, 1);
+  assert.equal(sheets.records('inbox').filter(r => r.object_id === '5003').length, 1);
+  assert.equal(strava.count('GET', '/api/v3/activities/5003'), 1);
+
+  const metrics = await (await fetch(`${appUrl}/metrics`)).text();
+  assert.match(metrics, /^suc_events_duplicate_total 1$/m);
+});
+
+test('delete: only the deleted activity and its efforts are removed', async () => {
+  assert.equal(rowsFor('segment_efforts', 5002).length, 1);
+  strava.removeActivity(5002);
+  sheets.failNext('/values/activities!A2:ZZ'); // a failed read must retry, not pass for "nothing to delete"
+  await postWebhook(webhook(5002, 'delete'));
+
+  await waitFor(() => rowsFor('activities', 5002).length === 0, 'activity 5002 to be deleted');
+  assert.equal(rowsFor('segment_efforts', 5002).length, 0);
+  assert.equal(rowsFor('activities', 5001).length, 1);
+  assert.equal(rowsFor('activities', 5003).length, 1);
+  assert.equal(rowsFor('segment_efforts', 5003).length, 1);
+});
+
+test('challenges: segment_time scores faster efforts higher and needs its own points formula', async () => {
+  const scores = (id) => sheets.records('challenge_scores').filter(r => r.challenge_id === id);
+  const [row] = scores('hill-fastest').filter(r => r.activity_id === '5003');
+  assert.equal(row.value, '600');
+  assert.equal(row.points, '300');
+  assert.equal(scores('hill-no-points').length, 0);
+  assert.match(appOutput.join(''), /skipping invalid challenge: challenge hill-no-points: segment_time needs a points formula/);
+});
+
+test('summaries: weekly and monthly rows follow creates, updates and deletes', async () => {
+  const summary = (tab) => sheets.records(tab).filter(r => r.athlete_id === String(ATHLETE.id));
+  await waitFor(() => summary('weekly_summary').some(r => r.runs === '2'), 'the weekly summary to drop the deleted run');
+
+  for (const tab of ['weekly_summary', 'monthly_summary']) {
+    const rows = summary(tab);
+    assert.equal(rows.length, 1, `${tab} has one row for the athlete`);
+    assert.equal(Number(rows[0].distance_m), 22000);
+    assert.equal(Number(rows[0].moving_time_s), 6000);
+    assert.equal(rows[0].longest_run_m, '12000');
+    assert.equal(rows[0].longest_run_activity_id, '5001');
+    assert.equal(rows[0].five_k_plus_runs, '2');
+  }
+  assert.equal(summary('monthly_summary')[0].month, '2026-10');
+
+  sheets.failNext('/values/activities!A2:ZZ'); // a rebuild that can't read activities must leave the tabs alone
+  const res = await fetch(`${appUrl}/admin/summaries/rebuild`, { method: 'POST', headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+  assert.equal(res.status, 500);
+  assert.equal(summary('weekly_summary').length, 1);
+  assert.equal(summary('monthly_summary').length, 1);
+});
+
+test('retry: an attempt that fails after storing the activity is rolled back and redone in full', async () => {
+  strava.putActivity(activity(5004, { start_date: '2026-09-10T14:00:00Z', start_date_local: '2026-09-10T07:00:00Z' }));
+  sheets.failNext('/values/watched_segments!1:1'); // read after the activity row was queued
+  await postWebhook(webhook(5004, 'create'));
+
+  await waitFor(() => rowsFor('activities', 5004).some(r => r.efforts_scanned === 'TRUE'), 'activity 5004 to be stored on the retry');
+  assert.equal(rowsFor('activities', 5004).length, 1);
+  assert.equal(rowsFor('segment_efforts', 5004).length, 1);
+  assert.equal(sheets.records('inbox').filter(r => r.object_id === '5004').length, 1);
+  assert.equal(sheets.records('monthly_summary').find(r => r.month === '2026-09').runs, '1');
+
+  const announced = () => chat.messages.filter(m => m.body.content.includes('Run 5004 ('));
+  await waitFor(() => announced().length, 'activity 5004 to be announced');
+  await new Promise(r => setTimeout(r, 1000));
+  assert.equal(announced().length, 1);
+});
+
+test('coalesce: an update for a retrying create joins it, keeps its backoff and logs both events', async () => {
+  const september = { start_date: '2026-09-17T14:00:00Z', start_date_local: '2026-09-17T07:00:00Z' };
+  const metric = async (name) => Number((await (await fetch(`${appUrl}/metrics`)).text()).match(new RegExp(`^${name} (\\d+)$`, 'm'))[1]);
+  const coalescedBefore = await metric('suc_events_coalesced_total');
+  strava.putActivity(activity(5005, september));
+  sheets.failNext('/values/watched_segments!1:1', 3);
+  await postWebhook(webhook(5005, 'create'));
+
+  await waitFor(async () => (await metric('suc_queue_retrying')) === 1, 'the create to back off');
+  strava.putActivity(activity(5005, { ...september, name: 'Renamed 5005' }));
+  await postWebhook(webhook(5005, 'update', { updates: { title: 'Renamed 5005' } }));
+  assert.equal(await metric('suc_events_coalesced_total'), coalescedBefore + 1);
+  assert.equal(await metric('suc_queue_retrying'), 1, 'the combined event waits out the backoff');
+
+  await waitFor(() => rowsFor('activities', 5005).some(r => r.efforts_scanned === 'TRUE'), 'activity 5005 to be stored');
+  assert.equal(rowsFor('activities', 5005).length, 1);
+  assert.equal(rowsFor('activities', 5005)[0].name, 'Renamed 5005');
+  const logged = sheets.records('inbox').filter(r => r.object_id === '5005').map(r => r.aspect_type);
+  assert.deepEqual(logged.sort(), ['create', 'update']);
+});
+
+test('sweep: an activity that never has segment efforts is swept once, then left alone', async () => {
+  strava.putActivity(activity(5006, { start_date: '2026-09-24T14:00:00Z', start_date_local: '2026-09-24T07:00:00Z', segment_efforts: undefined }));
+  await postWebhook(webhook(5006, 'create'));
+  const queueIdle = async () => /^suc_queue_depth 0$/m.test(await (await fetch(`${appUrl}/metrics`)).text());
+  await waitFor(async () => rowsFor('activities', 5006).length && await queueIdle(), 'activity 5006'); // a queued event isn't swept
+  assert.equal(rowsFor('activities', 5006)[0].efforts_scanned, 'FALSE');
+
+  const sweep = async () => {
+    const res = await fetch(`${appUrl}/admin/efforts/sweep`, { method: 'POST', headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+  assert.equal((await sweep()).queued, 1);
+  await waitFor(() => rowsFor('activities', 5006)[0].efforts_scanned === 'TRUE', 'the sweep to mark 5006 scanned');
+  assert.deepEqual(await sweep(), { unscanned: 0, queued: 0 });
+});
+
+test('notifications: joins, new activities and records reach the channel once each', async () => {
+  const texts = () => chat.messages.filter(m => m.hook === 'crew').map(m => m.body.content);
+  await waitFor(() => texts().some(t => t.includes('Ann Runner just joined')), 'the join announcement');
+  await waitFor(() => texts().some(t => t.includes('New crew record on Hill Climb')), 'the course record announcement');
+
+  assert.equal(texts().filter(t => t.includes('just joined')).length, 1);
+  for (const id of [5001, 5002, 5003]) {
+    assert.equal(texts().filter(t => t.includes(`Run ${id} (`)).length, 1, `activity ${id} announced once`);
+  }
+  assert.ok(chat.messages.every(m => Array.isArray(m.body.allowed_mentions.parse) && !m.body.allowed_mentions.parse.length));
+
+  const log = sheets.records('notification_log');
+  assert.ok(log.some(r => r.key === `athlete_joined:${ATHLETE.id}` && r.status === 'sent' && r.attempts === '2'));
+});
+
+test('private: an activity switched to Only You is kept as only_me, and reconcile leaves it', async () => {
+  strava.putActivity(activity(5003, { visibility: 'only_me' }));
+  await postWebhook(webhook(5003, 'update', { updates: { private: 'true' } }));
+
+  await waitFor(() => rowsFor('activities', 5003).some(r => r.visibility === 'only_me'), 'activity 5003 to be marked only_me');
+  const week = rowsFor('activities', 5001)[0].week_start;
+  const weekly = () => sheets.records('weekly_summary').find(r => r.athlete_id === String(ATHLETE.id) && r.week_start === week);
+  await waitFor(() => weekly().runs === '1', 'the weekly summary to drop the private run');
+  assert.equal(weekly().longest_run_activity_id, '5001');
+
+  const res = await fetch(`${appUrl}/admin/reconcile?athlete_id=${ATHLETE.id}`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${ADMIN_TOKEN}` }
+  });
+  assert.equal(res.status, 202);
+  const logged = await waitFor(() => sheets.records('reconcile_log').find(r => r.athlete_id === String(ATHLETE.id)), 'the reconcile summary');
+  assert.equal(logged.queued_delete, '0');
+  await new Promise(r => setTimeout(r, 3500)); // a queued delete would have run by now
+  assert.equal(rowsFor('activities', 5003).length, 1);
+  assert.equal(rowsFor('segment_efforts', 5003).length, 1);
+});
+
+test('purge: revoking access removes the athlete everywhere, notifications and taken records included', async () => {
+  const RIVAL = { id: 202, firstname: 'Rita', lastname: 'Rival' };
+  strava.addAthlete({ ...RIVAL, code: 'rival-code' });
+  assert.equal((await joinAthlete('rival-code')).status, 200);
+  const [effort] = activity(6001).segment_efforts;
+  strava.putActivity(activity(6001, { athlete: { id: RIVAL.id }, segment_efforts: [{ ...effort, elapsed_time: 500 }] }));
+  await postWebhook(webhook(6001, 'create', { owner_id: RIVAL.id }));
+
+  const taken = () => sheets.records('course_records').find(r => r.activity_id === '6001' && r.reason === 'new_record');
+  await waitFor(taken, 'the rival to take the course record');
+  assert.equal(taken().previous_athlete_id, String(ATHLETE.id));
+  await waitFor(() => sheets.records('notification_log').some(r => r.key === `athlete_joined:${RIVAL.id}`), 'the rival join announcement');
+
+  await postWebhook({
+    object_type: 'athlete', aspect_type: 'update', object_id: ATHLETE.id, owner_id: ATHLETE.id,
+    subscription_id: 1, event_time: eventTime++, updates: { authorized: 'false' }
+  });
+  await waitFor(() => sheets.records('audit').some(r => r.action === 'deauthorize' && r.athlete_id === String(ATHLETE.id)), 'the purge');
+
+  const mine = (tab, column = 'athlete_id') => sheets.records(tab).filter(r => r[column] === String(ATHLETE.id));
+  for (const tab of ['athletes', 'activities', 'segment_efforts', 'challenge_scores', 'course_records', 'weekly_summary', 'monthly_summary', 'reconcile_log']) {
+    assert.equal(mine(tab).length, 0, `${tab} still has rows for the athlete`);
+  }
+  assert.equal(mine('course_records', 'previous_athlete_id').length, 0);
+  assert.equal(taken().previous_time_s, '');
+  assert.equal(sheets.records('inbox').filter(r => r.object_type === 'activity' && r.owner_id === String(ATHLETE.id)).length, 0);
+
+  const theirKeys = [`athlete_joined:${ATHLETE.id}`, ...['5001', '5003', '5004'].map(id => `:${id}`)];
+  assert.deepEqual(sheets.records('notification_log').filter(r => theirKeys.some(k => r.key.includes(k))), []);
+  assert.ok(sheets.records('notification_log').some(r => r.key === `athlete_joined:${RIVAL.id}`));
+  assert.equal(rowsFor('activities', 6001).length, 1);
+});
+
+test('rate limit: deletes still run while creates wait for the Strava window', async () => {
+  const RIVAL_ID = 202;
+  strava.options.rateUsage = '1,5990'; // past STRAVA_RATE_PAUSE_RATIO of the daily limit
+  strava.putActivity(activity(6002, { athlete: { id: RIVAL_ID } }));
+  await postWebhook(webhook(6002, 'create', { owner_id: RIVAL_ID })); // its fetch reports the usage
+  await waitFor(() => rowsFor('activities', 6002).length, 'activity 6002');
+  const metrics = async () => (await fetch(`${appUrl}/metrics`)).text();
+  assert.match(await metrics(), /^suc_strava_paused 1$/m);
+
+  strava.putActivity(activity(6003, { athlete: { id: RIVAL_ID } }));
+  await postWebhook(webhook(6003, 'create', { owner_id: RIVAL_ID }));
+  await postWebhook(webhook(6001, 'delete', { owner_id: RIVAL_ID }));
+  await waitFor(() => rowsFor('activities', 6001).length === 0, 'the delete to run while paused');
+  assert.equal(rowsFor('activities', 6003).length, 0);
+  assert.equal(strava.count('GET', '/api/v3/activities/6003'), 0);
+  assert.match(await metrics(), /^suc_queue_depth 1$/m);
+});
+
+test('startup: refuses to run without TOKEN_ENCRYPTION_KEY once athletes have stored tokens', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suc-e2e-nokey-'));
+  const storage = path.join(dir, 'storage.json');
+  fs.writeFileSync(storage, JSON.stringify({ tabs: { athletes: {
+    headers: ['athlete_id', 'athlete_name', 'access_token', 'refresh_token', 'expires_at', 'scope'],
+    rows: [['7', 'Old Member', 'plain-at', 'plain-rt', '1700000000', 'read,activity:read']]
+  } } }));
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(await freePort()),
+      LOG_FORMAT: 'text',
+      STORAGE_BACKEND: 'json',
+      STORAGE_JSON_PATH: storage,
+      QUEUE_JOURNAL_PATH: path.join(dir, 'queue.jsonl'),
+      NOTIFICATIONS_PATH: path.join(dir, 'notifications.json'),
+      NOTIFY_OUTBOX_PATH: path.join(dir, 'notify-outbox.jsonl'),
+      RECONCILE_INTERVAL_MINUTES: '0',
+      EFFORTS_SWEEP_INTERVAL_MINUTES: '0'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  const killer = setTimeout(() => child.kill('SIGKILL'), 15000);
+  const code = await new Promise(resolve => child.once('exit', resolve));
+  clearTimeout(killer);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  assert.equal(code, 1, output);
+  assert.match(output, /refusing to start: TOKEN_ENCRYPTION_KEY is not set but 1 athlete\(s\) have stored tokens/);
+  assert.doesNotMatch(output, /Server running/);
+});
+
+test('restart: notifications still waiting in the outbox journal are sent after a restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suc-e2e-outbox-'));
+  const outbox = path.join(dir, 'notify-outbox.jsonl');
+  fs.writeFileSync(path.join(dir, 'notifications.json'), JSON.stringify({
+    channels: [{ id: 'restart', type: 'discord', url: `${chatUrl}/hooks/restart`, triggers: ['athlete_joined'] }]
+  }));
+  const message = (id, text, extra = {}) => ({
+    op: 'add', id, channel: 'restart', trigger: 'athlete_joined', key: `athlete_joined:${id}`, dedupe: `restart|athlete_joined:${id}`,
+    text, data: {}, attempts: 0, next_attempt_at: 0, ...extra
+  });
+  fs.writeFileSync(outbox, [
+    message('n1', 'left queued by the last run'),
+    message('n2', 'left retrying by the last run'),
+    { op: 'retry', id: 'n2', attempts: 2, last_error: 'HTTP 503', next_attempt_at: 0 },
+    message('n3', 'already sent by the last run'),
+    { op: 'done', id: 'n3' }
+  ].map(r => JSON.stringify(r) + '\n').join(''));
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(await freePort()),
+      LOG_FORMAT: 'text',
+      TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex'),
+      STORAGE_BACKEND: 'json',
+      STORAGE_JSON_PATH: path.join(dir, 'storage.json'),
+      QUEUE_JOURNAL_PATH: path.join(dir, 'queue.jsonl'),
+      NOTIFICATIONS_PATH: path.join(dir, 'notifications.json'),
+      NOTIFY_OUTBOX_PATH: outbox,
+      NOTIFY_DRAIN_MS: '200',
+      RECONCILE_INTERVAL_MINUTES: '0',
+      EFFORTS_SWEEP_INTERVAL_MINUTES: '0'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  try {
+    const texts = () => chat.messages.filter(m => m.hook === 'restart').map(m => m.body.content);
+    await waitFor(() => texts().length >= 2 && fs.readFileSync(outbox, 'utf8') === '', 'the restored notifications to go out');
+    assert.deepEqual(texts().sort(), ['left queued by the last run', 'left retrying by the last run']);
+    assert.match(output, /restored 2 waiting notification\(s\)/);
+  } finally {
+    child.kill('SIGTERM');
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
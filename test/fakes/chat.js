@@ -0,0 +1,39 @@
+// test/fakes/chat.js — records what the app posts to Discord/Slack-style incoming webhooks
+// ---------------------------------------------------------------------------------------------
+// Every POST to /hooks/<name> is kept in `messages` as { hook, body }. failNext(n) makes
+// the next n posts answer 500, to exercise the retry path.
+const express = require('express');
+
+function createFakeChat() {
+  const messages = [];
+  let failures = 0;
+
+  const app = express();
+  app.use(express.json());
+  app.post('/hooks/:name', (req, res) => {
+    if (failures > 0) {
+      failures--;
+      return res.status(500).json({ message: 'try again' });
+    }
+    messages.push({ hook: req.params.name, body: req.body });
+    res.status(204).end();
+  });
+
+  let server = null;
+  return {
+    messages,
+    failNext(n) {
+      failures = n;
+    },
+    listen() {
+      return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    }
+  };
+}
+
+module.exports = { createFakeChat };
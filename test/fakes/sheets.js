@@ -0,0 +1,230 @@
+// test/fakes/sheets.js — in-memory stand-in for the Google Sheets v4 endpoints the app uses
+// ---------------------------------------------------------------------------------------------
+// Point the app at it with GOOGLE_SHEETS_BASE_URL (and GOOGLE_SERVICE_EMAIL unset). One
+// spreadsheet, any id. Covers spreadsheets.get, values.get/update/append and the
+// batchUpdate requests the adapter sends (addSheet, appendCells, updateCells,
+// deleteDimension, moveDimension). Values come back the way FORMATTED_VALUE renders them:
+// strings, TRUE/FALSE, trailing blanks trimmed. failNext(match, n, status) makes the next
+// n requests whose "METHOD /decoded/path" contains match fail with status (the client
+// library retries 5xx on its own, so a 4xx is what reaches the app).
+const express = require('express');
+
+function colFromA1(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1; // 0-based
+}
+
+// "tab!A2:ZZ" / "tab!1:1" / "'my tab'!C1:D1" -> { tab, startRow, endRow, startCol, endCol } (0-based, inclusive)
+function parseRange(range) {
+  const bang = range.lastIndexOf('!');
+  const tab = (bang < 0 ? range : range.slice(0, bang)).replace(/^'(.*)'$/, '$1');
+  const [from = '', to = ''] = (bang < 0 ? '' : range.slice(bang + 1)).split(':');
+  const cell = (ref) => {
+    const m = String(ref).match(/^([A-Z]*)(\d*)$/);
+    return { col: m && m[1] ? colFromA1(m[1]) : null, row: m && m[2] ? Number(m[2]) - 1 : null };
+  };
+  const a = cell(from);
+  const b = cell(to || from);
+  return { tab, startRow: a.row ?? 0, endRow: b.row, startCol: a.col ?? 0, endCol: b.col };
+}
+
+function formatValue(v) {
+  if (v === '' || v === null || typeof v === 'undefined') return '';
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  return String(v);
+}
+
+function fromCellData(cell = {}) {
+  const v = cell.userEnteredValue || {};
+  if ('numberValue' in v) return v.numberValue;
+  if ('boolValue' in v) return v.boolValue;
+  if ('stringValue' in v) return v.stringValue;
+  return '';
+}
+
+function trimRow(row) {
+  const out = row.map(formatValue);
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out;
+}
+
+function createFakeSheets() {
+  const tabs = new Map(); // title -> { sheetId, rows: [[...]] } (rows[0] is the header row)
+  const calls = [];
+  const failures = []; // [{ match, left, status }]
+  let nextSheetId = 1;
+
+  function addTab(title) {
+    if (tabs.has(title)) throw apiError(400, `A sheet with the name "${title}" already exists.`);
+    const tab = { sheetId: nextSheetId++, rows: [] };
+    tabs.set(title, tab);
+    return tab;
+  }
+
+  function tabById(sheetId) {
+    for (const [title, tab] of tabs) if (tab.sheetId === sheetId) return { title, tab };
+    throw apiError(400, `No grid with id: ${sheetId}`);
+  }
+
+  function tabByName(title) {
+    const tab = tabs.get(title);
+    if (!tab) throw apiError(400, `Unable to parse range: ${title}`);
+    return tab;
+  }
+
+  function writeValues(tab, startRow, startCol, values) {
+    values.forEach((vals, r) => {
+      const row = tab.rows[startRow + r] || (tab.rows[startRow + r] = []);
+      vals.forEach((v, c) => { row[startCol + c] = v; });
+    });
+    for (let i = 0; i < tab.rows.length; i++) if (!tab.rows[i]) tab.rows[i] = [];
+  }
+
+  function lastDataRow(tab) {
+    let last = -1;
+    tab.rows.forEach((r, i) => { if (r.some(v => formatValue(v) !== '')) last = i; });
+    return last;
+  }
+
+  const handlers = {
+    addSheet({ properties = {} }) {
+      const tab = addTab(properties.title);
+      return { addSheet: { properties: { title: properties.title, sheetId: tab.sheetId } } };
+    },
+    appendCells({ sheetId, rows = [] }) {
+      const { tab } = tabById(sheetId);
+      writeValues(tab, lastDataRow(tab) + 1, 0, rows.map(r => (r.values || []).map(fromCellData)));
+    },
+    updateCells({ start, range, rows = [] }) {
+      if (start) {
+        const { tab } = tabById(start.sheetId);
+        writeValues(tab, start.rowIndex || 0, start.columnIndex || 0, rows.map(r => (r.values || []).map(fromCellData)));
+        return;
+      }
+      // range without rows: clear the covered cells
+      const { tab } = tabById(range.sheetId);
+      const endRow = range.endRowIndex ?? tab.rows.length;
+      for (let i = range.startRowIndex || 0; i < endRow && i < tab.rows.length; i++) {
+        const row = tab.rows[i];
+        const endCol = range.endColumnIndex ?? row.length;
+        for (let c = range.startColumnIndex || 0; c < endCol; c++) row[c] = '';
+      }
+    },
+    deleteDimension({ range }) {
+      const { tab } = tabById(range.sheetId);
+      if (range.dimension === 'ROWS') tab.rows.splice(range.startIndex, range.endIndex - range.startIndex);
+      else tab.rows.forEach(r => r.splice(range.startIndex, range.endIndex - range.startIndex));
+    },
+    moveDimension({ source, destinationIndex }) {
+      const { tab } = tabById(source.sheetId);
+      const count = source.endIndex - source.startIndex;
+      const move = (list) => {
+        const moved = list.splice(source.startIndex, count);
+        const at = destinationIndex > source.startIndex ? destinationIndex - count : destinationIndex;
+        list.splice(at, 0, ...moved);
+      };
+      if (source.dimension === 'ROWS') move(tab.rows);
+      else tab.rows.forEach(r => { while (r.length < source.endIndex) r.push(''); move(r); });
+    }
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use((req, res) => {
+    const call = `${req.method} ${decodeURIComponent(req.path)}`;
+    calls.push(`${req.method} ${req.path}`);
+    const failure = failures.find(f => f.left > 0 && call.includes(f.match));
+    if (failure) {
+      failure.left--;
+      return res.status(failure.status).json({ error: { code: failure.status, message: 'Injected failure', status: 'FAILED_PRECONDITION' } });
+    }
+    try {
+      res.json(route(req));
+    } catch (err) {
+      const code = err.code || 500;
+      res.status(code).json({ error: { code, message: err.message, status: 'INVALID_ARGUMENT' } });
+    }
+  });
+
+  function route(req) {
+    const m = req.path.match(/^\/v4\/spreadsheets\/([^/:]+)(:batchUpdate)?(?:\/values\/(.+))?$/);
+    if (!m) throw apiError(404, `No route for ${req.method} ${req.path}`);
+    const [, , batch, rawRange] = m;
+
+    if (batch && req.method === 'POST') {
+      const replies = (req.body.requests || []).map((r) => {
+        const [kind] = Object.keys(r);
+        if (!handlers[kind]) throw apiError(400, `Unsupported request ${kind}`);
+        return handlers[kind](r[kind]) || {};
+      });
+      return { replies };
+    }
+
+    if (!rawRange && req.method === 'GET') {
+      return { sheets: [...tabs].map(([title, t]) => ({ properties: { title, sheetId: t.sheetId } })) };
+    }
+
+    const append = /:append$/.test(rawRange);
+    const range = parseRange(decodeURIComponent(rawRange.replace(/:append$/, '')));
+    const tab = tabByName(range.tab);
+
+    if (req.method === 'GET') {
+      const end = range.endRow === null ? tab.rows.length - 1 : range.endRow;
+      const values = tab.rows.slice(range.startRow, end + 1)
+        .map(r => trimRow(r.slice(range.startCol, range.endCol === null ? undefined : range.endCol + 1)));
+      while (values.length && !values[values.length - 1].length) values.pop();
+      return { range: range.tab, majorDimension: 'ROWS', values };
+    }
+    if (req.method === 'PUT') {
+      writeValues(tab, range.startRow, range.startCol, req.body.values || []);
+      return { updatedRange: range.tab };
+    }
+    if (req.method === 'POST' && append) {
+      writeValues(tab, lastDataRow(tab) + 1, range.startCol, req.body.values || []);
+      return { updates: { updatedRange: range.tab } };
+    }
+    throw apiError(404, `No route for ${req.method} ${req.path}`);
+  }
+
+  let server = null;
+  return {
+    calls,
+    failNext(match, n = 1, status = 400) {
+      failures.push({ match, left: n, status });
+    },
+    listen() {
+      return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    },
+    // Data rows of a tab as { header: formatted value } objects (1-based sheet row in _row)
+    records(title) {
+      const tab = tabs.get(title);
+      if (!tab || !tab.rows.length) return [];
+      const headers = trimRow(tab.rows[0]);
+      return tab.rows.slice(1).map((r, i) => {
+        const rec = { _row: i + 2 };
+        headers.forEach((h, c) => { rec[h] = formatValue(r[c]); });
+        return rec;
+      });
+    },
+    setCell(title, row1, header, value) {
+      const tab = tabByName(title);
+      const col = trimRow(tab.rows[0]).indexOf(header);
+      if (col < 0) throw new Error(`${title} has no ${header} column`);
+      writeValues(tab, row1 - 1, col, [[value]]);
+    }
+  };
+}
+
+function apiError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = { createFakeSheets };
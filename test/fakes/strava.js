@@ -0,0 +1,124 @@
+// test/fakes/strava.js — in-memory stand-in for the Strava endpoints the app uses
+// ---------------------------------------------------------------------------------------------
+// Point the app at it with STRAVA_BASE_URL. Serves /oauth/token (authorization_code and
+// refresh_token grants), /oauth/deauthorize and the /api/v3 reads (activities/{id},
+// athlete/activities, push_subscriptions). Access tokens expire like Strava's, a refresh
+// retires the previous access token, and every response carries rate-limit headers.
+// Tokens carry activity:read (not read_all), so "Only You" activities read as missing.
+const crypto = require('crypto');
+const express = require('express');
+
+function createFakeStrava() {
+  const athletesByCode = new Map(); // authorization code -> { id, firstname, lastname }
+  const activities = new Map();     // id -> detailed activity JSON
+  const accessTokens = new Map();   // token -> { athlete_id, expires_at }
+  const refreshTokens = new Map();  // token -> athlete_id
+  const requests = [];              // { method, path, grant_type? }
+  const options = { tokenTtlSec: 6 * 60 * 60, rateUsage: '1,1' }; // rateUsage: "15min,daily" reported back
+
+  function issueTokens(athleteId) {
+    const access_token = `at-${crypto.randomBytes(8).toString('hex')}`;
+    const refresh_token = `rt-${crypto.randomBytes(8).toString('hex')}`;
+    const expires_at = Math.floor(Date.now() / 1000) + options.tokenTtlSec;
+    accessTokens.set(access_token, { athlete_id: athleteId, expires_at });
+    refreshTokens.set(refresh_token, athleteId);
+    return { token_type: 'Bearer', access_token, refresh_token, expires_at, expires_in: options.tokenTtlSec };
+  }
+
+  // Athlete id for a valid bearer token, else null
+  function bearerAthlete(req) {
+    const token = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const t = accessTokens.get(token);
+    return t && t.expires_at > Date.now() / 1000 ? t.athlete_id : null;
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, grant_type: req.body && req.body.grant_type });
+    res.set({ 'X-RateLimit-Limit': '600,6000', 'X-RateLimit-Usage': options.rateUsage });
+    next();
+  });
+
+  app.post('/oauth/token', (req, res) => {
+    const { grant_type, code, refresh_token } = req.body || {};
+    if (grant_type === 'authorization_code') {
+      const athlete = athletesByCode.get(code);
+      if (!athlete) return res.status(400).json({ message: 'Bad Request', errors: [{ field: 'code', code: 'invalid' }] });
+      athletesByCode.delete(code); // codes are single use
+      return res.json({ ...issueTokens(athlete.id), athlete });
+    }
+    if (grant_type === 'refresh_token') {
+      const athleteId = refreshTokens.get(refresh_token);
+      if (!athleteId) return res.status(400).json({ message: 'Bad Request', errors: [{ field: 'refresh_token', code: 'invalid' }] });
+      refreshTokens.delete(refresh_token);
+      for (const [token, t] of accessTokens) if (t.athlete_id === athleteId) accessTokens.delete(token);
+      return res.json(issueTokens(athleteId));
+    }
+    res.status(400).json({ message: 'Bad Request', errors: [{ field: 'grant_type', code: 'invalid' }] });
+  });
+
+  app.post('/oauth/deauthorize', (req, res) => {
+    const token = req.body.access_token || String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    accessTokens.delete(token);
+    res.json({ access_token: token });
+  });
+
+  app.get('/api/v3/push_subscriptions', (_req, res) => res.json([]));
+
+  app.get('/api/v3/activities/:id', (req, res) => {
+    const athleteId = bearerAthlete(req);
+    if (!athleteId) return res.status(401).json({ message: 'Authorization Error', errors: [{ resource: 'Athlete', field: 'access_token', code: 'invalid' }] });
+    const act = activities.get(String(req.params.id));
+    if (!act || String(act.athlete.id) !== String(athleteId) || act.visibility === 'only_me') {
+      return res.status(404).json({ message: 'Record Not Found', errors: [{ resource: 'Activity', field: 'id', code: 'invalid' }] });
+    }
+    res.json(act);
+  });
+
+  app.get('/api/v3/athlete/activities', (req, res) => {
+    const athleteId = bearerAthlete(req);
+    if (!athleteId) return res.status(401).json({ message: 'Authorization Error' });
+    const after = Number(req.query.after || 0);
+    const before = Number(req.query.before || Infinity);
+    const perPage = Number(req.query.per_page || 30);
+    const page = Number(req.query.page || 1);
+    const list = [...activities.values()]
+      .filter(a => String(a.athlete.id) === String(athleteId) && a.visibility !== 'only_me')
+      .filter(a => { const t = Date.parse(a.start_date) / 1000; return t > after && t < before; })
+      .map(({ segment_efforts, ...summary }) => summary);
+    res.json(list.slice((page - 1) * perPage, page * perPage));
+  });
+
+  app.use((req, res) => res.status(404).json({ message: 'Record Not Found', path: req.path }));
+
+  let server = null;
+  return {
+    requests,
+    options,
+    listen() {
+      return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    },
+    // The athlete a later /oauth/token exchange of `code` signs in
+    addAthlete({ code, ...athlete }) {
+      athletesByCode.set(code, athlete);
+    },
+    putActivity(act) {
+      activities.set(String(act.id), act);
+    },
+    removeActivity(id) {
+      activities.delete(String(id));
+    },
+    count(method, path) {
+      return requests.filter(r => r.method === method && r.path === path).length;
+    }
+  };
+}
+
+module.exports = { createFakeStrava };